@@ -1,210 +1,232 @@
 const { addonBuilder } = require('stremio-addon-sdk');
+const { log } = require('./logger');
+const { getTimeOptions, formatTime, formatTimeRange, formatDay, getDayKey } = require('./time');
+const { getTVData, getChannels, applyChannelSettings, getUserChannels } = require('./tvdata');
+const { normalizeSearch, searchProgrammes } = require('./epgSearch');
+const { resolveConfigChannels } = require('./channelHistory');
+const { getProgrammes, getCurrentProgramme, formatProgrammeDetails, formatProgrammeTitle } = require('./programmes');
+const { buildChannelStreams, buildCatchupStream, buildRecordingStream } = require('./streams');
+const { getRecording, getPlayableRecordings } = require('./recordings');
+const { getCoverage } = require('../proxy/timeshift');
+const { OFFLINE_MODES, isChannelOffline } = require('./prober');
+const {
+    manifest,
+    ADDON_HOST,
+    CATALOG_PAGE_SIZE,
+    MAIN_CATALOG_ID,
+    FAVOURITES_CATALOG_ID,
+    NEW_CHANNELS_CATALOG_ID,
+    ON_NOW_CATALOG_ID,
+    SEARCH_CATALOG_ID,
+    RECORDINGS_CATALOG_ID,
+    RECORDING_ID_PREFIX,
+    getChannelGenre,
+    getCatalogNetwork
+} = require('./manifest');
 
-// Enhanced logging system for production debugging
-const LOG_LEVELS = {
-    DEBUG: 0,
-    INFO: 1,
-    WARN: 2,
-    ERROR: 3
+const DEFAULT_ICON = 'https://i.mjh.nz/tv-logo/tvmate/Freeview.png';
+
+const builder = new addonBuilder(manifest);
+
+// EPG schedule configuration
+const SCHEDULE_CONFIG = {
+    WINDOW_HOURS: parseInt(process.env.EPG_WINDOW_HOURS, 10) || 48 // How far ahead the meta schedule reaches
 };
 
-const CURRENT_LOG_LEVEL = process.env.LOG_LEVEL || 'INFO';
-const LOG_LEVEL_NUM = LOG_LEVELS[CURRENT_LOG_LEVEL] || LOG_LEVELS.INFO;
-
-function log(level, component, message, data = null) {
-    const levelNum = LOG_LEVELS[level] || LOG_LEVELS.INFO;
-    if (levelNum >= LOG_LEVEL_NUM) {
-        const timestamp = new Date().toISOString();
-        const logEntry = {
-            timestamp,
-            level,
-            component,
-            message,
-            ...(data && { data })
-        };
-        
-        if (level === 'ERROR') {
-            console.error(`[${timestamp}] [${level}] [${component}] ${message}`, data || '');
-        } else if (level === 'WARN') {
-            console.warn(`[${timestamp}] [${level}] [${component}] ${message}`, data || '');
-        } else {
-            console.log(`[${timestamp}] [${level}] [${component}] ${message}`, data || '');
-        }
-    }
+// Get the programmes airing within the schedule window, starting with the current programme
+function getSchedule(channel, windowHours = SCHEDULE_CONFIG.WINDOW_HOURS) {
+    const now = Date.now();
+    const windowEnd = now + windowHours * 60 * 60 * 1000;
+    const currentProgram = getCurrentProgramme(channel, now);
+
+    return getProgrammes(channel)
+        .filter(program => program === currentProgram || (program.start > now && program.start < windowEnd))
+        .map(program => ({ ...program, isNow: program === currentProgram }));
 }
 
-const TV_JSON_URL = 'https://i.mjh.nz/nz/tv.json';
-const DEFAULT_ICON = 'https://i.mjh.nz/tv-logo/tvmate/Freeview.png';
+// Earlier programmes that can be played back from the timeshift buffer
+function getCatchupProgrammes(channelId, channel) {
+    const now = Date.now();
+    return getProgrammes(channel)
+        .filter(program => program.end <= now && getCoverage(channelId, program.start, program.end))
+        .map(program => ({ ...program, isPast: true }));
+}
 
-// The public host for the addon. This is crucial for generating absolute URLs that the Stremio
-// web player can use. We fall back to a local address for development.
-const PORT = process.env.PORT || 8080;
-// The addon's public host URL. This is critical for generating absolute stream URLs.
-// It's automatically detected from Google Cloud Run's K_SERVICE_URL environment variable.
-// If deploying elsewhere, the ADDON_HOST environment variable must be set manually.
-const ADDON_HOST = process.env.K_SERVICE_URL || process.env.ADDON_HOST;
- 
-if (!ADDON_HOST) {
-    log('WARN', 'CONFIG', 'Addon host URL not configured. Will be derived from request.');
-} else {
-    log('INFO', 'CONFIG', `Public addon host detected: ${ADDON_HOST}`);
+// Channel description led by what is on now, e.g. "Now: Seven Sharp · PG (19:00 - 19:30)"
+function describeChannel(channel, channelData, timeOptions) {
+    const channelDescription = channelData.description || `Live channel: ${channel.name}`;
+    const currentProgram = getCurrentProgramme(channelData);
+    if (!currentProgram) return channelDescription;
+
+    const now = `Now: ${formatProgrammeTitle(currentProgram)} (${formatTimeRange(currentProgram.start, currentProgram.end, timeOptions)})`;
+    return [now, currentProgram.description, '', channelData.description]
+        .filter(line => line !== null && line !== undefined)
+        .join('\n')
+        .trim();
 }
 
-// Read version from package.json to have a single source of truth
-const { version } = require('../package.json');
-
-// Construct the absolute logo URL. This is essential for Stremio clients (especially web)
-// to be able to load the image. We fall back to a generic icon if the host is not available.
-const LOGO_URL = ADDON_HOST
-    ? `${ADDON_HOST}/static/Logo.png`
-    : 'https://i.mjh.nz/tv-logo/tvmate/Freeview.png';
-
-const manifest = {
-    id: 'org.nzfreeview',
-    version: version,
-    name: 'NZ Freeview TV',
-    description: 'Watch free New Zealand TV channels. Live streams and EPG data from i.mjh.nz',
-    logo: LOGO_URL,
-    background: LOGO_URL,
-    contactEmail: 'your@email.com',
-    resources: ['catalog', 'meta', 'stream'],
-    types: ['tv'],
-    catalogs: [
-        {
-            type: 'tv',
-            id: 'nzfreeview',
-            name: 'NZ Freeview TV',
-            extra: [
-                { name: 'genre', isRequired: false },
-                { name: 'search', isRequired: false },
-            ]
+// Build the meta `videos` list from a channel schedule, grouping programmes by local day as seasons.
+// Catch-up programmes go last, in a season of their own.
+function buildScheduleVideos(channel, schedule, timeOptions) {
+    const dayKeys = [];
+    let episode = 0;
+
+    return schedule.map(program => {
+        const dayKey = program.isPast ? 'catch-up' : getDayKey(program.start, timeOptions);
+        if (!dayKeys.includes(dayKey)) {
+            dayKeys.push(dayKey);
+            episode = 0;
         }
-    ],
-    idPrefixes: ['nzfreeview-'],
-    behaviorHints: {
-        configurable: true,
-        configurationUrl: '/configure/'
-    }
-};
-
-const builder = new addonBuilder(manifest);
+        episode++;
+
+        const timeRange = formatTimeRange(program.start, program.end, timeOptions);
+        const day = formatDay(program.start, timeOptions);
+
+        return {
+            id: `nzfreeview-${channel.id}:${Math.floor(program.start / 1000)}`,
+            title: `${program.isNow ? 'Now: ' : ''}${program.isPast ? 'Catch-up: ' : ''}${formatProgrammeTitle(program)} (${timeRange})`,
+            released: new Date(program.start).toISOString(),
+            season: dayKeys.length,
+            episode,
+            overview: [`${day}, ${timeRange}`, program.description].filter(Boolean).join('\n'),
+            thumbnail: program.image || channel.logo || DEFAULT_ICON
+        };
+    });
+}
 
-// Cache configuration
-const CACHE_CONFIG = {
-    TV_CACHE_DURATION: 60 * 60 * 1000, // 1 hour
-};
+// Search matches the channel name or the title of the current or an upcoming programme
+function matchesSearch(channel, channelData, query) {
+    if (normalizeSearch(channel.name).includes(query)) return true;
+    return getSchedule(channelData).some(program => normalizeSearch(program.title).includes(query));
+}
 
-// Cache storage
-let tvDataCache = {
-    data: null,
-    lastFetch: 0,
-    updatePromise: null
-};
+function getOfflineMode(config) {
+    return config && OFFLINE_MODES.includes(config.offlineChannels) ? config.offlineChannels : 'show';
+}
 
-// Update TV data cache
-async function updateTVDataCache() {
-    // If an update is already in progress, return the existing promise to avoid race conditions.
-    if (tvDataCache.updatePromise) {
-        log('DEBUG', 'TV_CACHE', 'Update already in progress, awaiting existing fetch.');
-        return tvDataCache.updatePromise;
-    }
-    
-    const startTime = Date.now();
-    const updateLogic = async () => {
-        try {
-            log('INFO', 'TV_CACHE', 'Starting TV data update');
-            const tvRes = await fetch(TV_JSON_URL);
-            const tvData = await tvRes.json();
-            
-            tvDataCache.data = tvData;
-            tvDataCache.lastFetch = Date.now();
-            
-            const channelCount = Object.keys(tvData).length;
-            const duration = Date.now() - startTime;
-            log('INFO', 'TV_CACHE', `Updated with ${channelCount} channels`, { 
-                duration, 
-                channelCount 
-            });
-            
-        } catch (error) {
-            const duration = Date.now() - startTime;
-            log('ERROR', 'TV_CACHE', 'Update failed', { 
-                error: error.message, 
-                duration 
-            });
-            // Do not replace existing stale data if the update fails
-        } finally {
-            // Clear the promise to allow future updates
-            tvDataCache.updatePromise = null;
-        }
+// Flag a channel the prober found offline in its name and description
+function markOffline(meta) {
+    return {
+        ...meta,
+        name: `⚠ ${meta.name}`,
+        description: `⚠ offline: this channel failed its last stream checks\n\n${meta.description}`
     };
+}
 
-    tvDataCache.updatePromise = updateLogic();
-    return tvDataCache.updatePromise;
+// The channel filter for a catalog ID, or null for an unknown catalog
+function getCatalogFilter(catalogId, tvData) {
+    if (catalogId === MAIN_CATALOG_ID) return () => true;
+    if (catalogId === FAVOURITES_CATALOG_ID) return (channelData, channel) => channel.favourite === true;
+    // Lists the user's new channels, which getUserChannels returns separately
+    if (catalogId === NEW_CHANNELS_CATALOG_ID) return () => true;
+    if (catalogId === ON_NOW_CATALOG_ID) return (channelData) => !!getCurrentProgramme(channelData);
+
+    const network = getCatalogNetwork(catalogId, tvData);
+    if (!network) return null;
+    return (channelData) => !!channelData && channelData.network === network;
 }
 
-// Get TV data with caching
-async function getTVData() {
-    const now = Date.now();
-    
-    // If cache is empty or expired, fetch fresh data
-    if (!tvDataCache.data || now - tvDataCache.lastFetch > CACHE_CONFIG.TV_CACHE_DURATION) {
-        await updateTVDataCache();
-    }
-    
-    return tvDataCache.data || {}; // Always return an object
+// "On Now" lists what is airing, so the programme title stands in for the channel name
+function toOnNowMeta(meta, channel, channelData, timeOptions) {
+    const currentProgram = getCurrentProgramme(channelData);
+    if (!currentProgram) return meta;
+    const timeRange = formatTimeRange(currentProgram.start, currentProgram.end, timeOptions);
+    return {
+        ...meta,
+        name: currentProgram.title,
+        description: [`${channel.name} (${timeRange})`, formatProgrammeDetails(currentProgram), currentProgram.description]
+            .filter(Boolean)
+            .join('\n')
+    };
 }
 
-// Get all channels from TV data
-async function getChannels() {
-    const tvData = await getTVData();
-    
-    return Object.entries(tvData).map(([id, channel]) => ({
-        id: id,
-        name: channel.name,
-        logo: channel.logo,
-        description: channel.description,
-        chno: channel.chno,
-        url: channel.mjh_master,
-        network: channel.network
-    })).sort((a, b) => (a.chno || 999) - (b.chno || 999));
+// Each programme search hit is its own item, named after the programme. The id carries the start
+// time like the meta schedule entries, so opening it leads to the channel and its stream.
+async function searchProgrammeCatalog(args) {
+    const startTime = Date.now();
+    const { search } = args.extra || {};
+    const skip = Math.max(parseInt((args.extra || {}).skip, 10) || 0, 0);
+    const timeOptions = getTimeOptions(args.config);
+    const offlineMode = getOfflineMode(args.config);
+
+    const { channels: userChannels } = getUserChannels(args, await getChannels());
+    const visibleChannels = userChannels.filter(channel => offlineMode !== 'hide' || !isChannelOffline(channel.id));
+    const channelsById = new Map(visibleChannels.map(channel => [channel.id, channel]));
+
+    const hits = searchProgrammes(search, [...channelsById.keys()]);
+    const now = Date.now();
+
+    const metas = hits.slice(skip, skip + CATALOG_PAGE_SIZE).map(hit => {
+        const channel = channelsById.get(hit.channelId);
+        const airing = hit.start <= now
+            ? `On now until ${formatTime(hit.end, timeOptions)}`
+            : `${formatDay(hit.start, timeOptions)}, ${formatTimeRange(hit.start, hit.end, timeOptions)}`;
+
+        return {
+            id: `nzfreeview-${channel.id}:${Math.floor(hit.start / 1000)}`,
+            type: 'tv',
+            name: hit.title,
+            poster: hit.image || channel.logo || DEFAULT_ICON,
+            posterShape: 'landscape',
+            logo: channel.logo || DEFAULT_ICON,
+            description: [channel.name || 'Unknown Channel', airing, formatProgrammeDetails(hit), hit.description]
+                .filter(Boolean)
+                .join('\n'),
+            releaseInfo: `${channel.name || 'Unknown Channel'} · ${airing}`,
+            background: hit.image || channel.logo || DEFAULT_ICON,
+            country: ['NZ'],
+            language: ['en'],
+            chno: channel.chno
+        };
+    });
+
+    log('INFO', 'CATALOG', `Returning ${metas.length} programmes`, {
+        catalog: args.id,
+        duration: Date.now() - startTime,
+        matching: hits.length,
+        skip,
+        search
+    });
+
+    return { metas };
 }
 
-function getCurrentProgram(channel) {
-    if (!channel || !Array.isArray(channel.programs)) return null;
-    
-    const now = Date.now() / 1000; // Current time in seconds
-    const buffer = 5 * 60; // 5 minutes buffer in seconds
-    
-    for (let i = 0; i < channel.programs.length; i++) {
-        const program = channel.programs[i];
-        if (!Array.isArray(program) || program.length < 2) continue;
-        
-        const startTime = program[0];
-        const endTime = i < channel.programs.length - 1 ? channel.programs[i + 1][0] : startTime + (3 * 60 * 60); // Assume 3 hours if no next program
-        
-        if (now >= (startTime - buffer) && now < (endTime + buffer)) {
-            return {
-                start: startTime * 1000, // Convert to milliseconds
-                end: endTime * 1000,
-                title: program[1]
-            };
-        }
-    }
-    
-    return null;
+// Recordings are server-wide rather than per user, so they ignore the channel list and settings
+async function toRecordingMeta(recording, timeOptions) {
+    const channelData = (await getTVData())[recording.channelId] || {};
+    const logo = channelData.logo || DEFAULT_ICON;
+    const aired = `${formatDay(recording.programmeStart, timeOptions)}, ${formatTimeRange(recording.programmeStart, recording.programmeEnd, timeOptions)}`;
+    return {
+        id: RECORDING_ID_PREFIX + recording.id,
+        type: 'tv',
+        name: recording.title,
+        poster: recording.image || logo,
+        posterShape: 'landscape',
+        logo,
+        description: [
+            `${recording.channelName} · ${aired}`,
+            recording.status === 'recording' ? '● Recording now' : null,
+            recording.subTitle,
+            recording.description
+        ].filter(Boolean).join('\n'),
+        releaseInfo: `${recording.channelName} · ${aired}`,
+        background: recording.image || logo,
+        country: ['NZ'],
+        language: ['en'],
+        genres: ['Recordings']
+    };
 }
 
-function getUserChannels(args, allChannels) {
-    if (args.config && args.config.channels && Array.isArray(args.config.channels)) {
-        const userChannelIds = args.config.channels;
-        const orderedChannels = userChannelIds
-            .map(id => allChannels.find(c => c.id === id))
-            .filter(Boolean);
-        return { channels: orderedChannels, userSorted: true };
-    }
-    // allChannels is already sorted by chno from the getChannels function
-    return { channels: allChannels, userSorted: false };
+async function recordingsCatalog(args) {
+    const skip = Math.max(parseInt((args.extra || {}).skip, 10) || 0, 0);
+    const timeOptions = getTimeOptions(args.config);
+    const recordings = getPlayableRecordings();
+    const metas = await Promise.all(recordings
+        .slice(skip, skip + CATALOG_PAGE_SIZE)
+        .map(recording => toRecordingMeta(recording, timeOptions)));
+
+    log('INFO', 'CATALOG', `Returning ${metas.length} recordings`, { catalog: args.id, total: recordings.length, skip });
+    return { metas };
 }
 
 // Catalog handler
@@ -216,9 +238,38 @@ builder.defineCatalogHandler(async (args) => {
     });
     
     try {
+        if (args.id === SEARCH_CATALOG_ID) {
+            return await searchProgrammeCatalog(args);
+        }
+        if (args.id === RECORDINGS_CATALOG_ID) {
+            return await recordingsCatalog(args);
+        }
+
         const tvData = await getTVData();
         const channels = await getChannels();
-        const { channels: filteredChannels, userSorted } = getUserChannels(args, channels);
+        const { channels: userChannels, newChannels, userSorted } = getUserChannels(args, channels);
+        const timeOptions = getTimeOptions(args.config);
+        const offlineMode = getOfflineMode(args.config);
+        const { genre, search } = args.extra || {};
+        const skip = Math.max(parseInt((args.extra || {}).skip, 10) || 0, 0);
+        const query = normalizeSearch(search);
+        const inCatalog = getCatalogFilter(args.id, tvData);
+
+        if (!inCatalog) {
+            log('WARN', 'CATALOG', 'Unknown catalog', { id: args.id });
+            return { metas: [] };
+        }
+
+        const catalogChannels = args.id === NEW_CHANNELS_CATALOG_ID ? newChannels : userChannels;
+        const matchingChannels = catalogChannels.filter(channel => {
+            const channelData = tvData[channel.id];
+            if (!inCatalog(channelData, channel)) return false;
+            if (offlineMode === 'hide' && isChannelOffline(channel.id)) return false;
+            if (genre && getChannelGenre(channelData) !== genre) return false;
+            if (query && !matchesSearch(channel, channelData, query)) return false;
+            return true;
+        });
+        const filteredChannels = matchingChannels.slice(skip, skip + CATALOG_PAGE_SIZE);
         
         if (!filteredChannels || filteredChannels.length === 0) {
             return { metas: [] };    
@@ -227,33 +278,27 @@ builder.defineCatalogHandler(async (args) => {
         const metaPromises = filteredChannels.map(async (channel) => {
             try {
                 const channelData = tvData[channel.id];
-                const currentProgram = getCurrentProgram(channelData);
-                
-                let description = channelData.description || `Live channel: ${channel.name}`;
-                if (currentProgram) {
-                    const startTime = new Date(currentProgram.start).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', hour12: false });
-                    const endTime = new Date(currentProgram.end).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', hour12: false });
-                    description = `Now: ${currentProgram.title} (${startTime} - ${endTime})
-
-${channelData.description || ''}`;
-                }
+                const currentProgram = getCurrentProgramme(channelData);
+                const description = describeChannel(channel, channelData, timeOptions);
 
-                const genres = channelData.network ? [channelData.network] : ['Live'];
+                const genres = [getChannelGenre(channelData)];
                 
-                return {
+                const meta = {
                     id: 'nzfreeview-' + channel.id,
                     type: 'tv',
                     name: channel.name || 'Unknown Channel',
                     poster: channel.logo || DEFAULT_ICON,
                     posterShape: 'landscape',
                     logo: channel.logo || DEFAULT_ICON,
-                    description: description.trim(),
-                    background: channel.logo || DEFAULT_ICON,
+                    description,
+                    background: (currentProgram && currentProgram.image) || channel.logo || DEFAULT_ICON,
                     country: ['NZ'],
                     language: ['en'],
                     genres,
                     chno: channel.chno
                 };
+
+                return args.id === ON_NOW_CATALOG_ID ? toOnNowMeta(meta, channel, channelData, timeOptions) : meta;
                 
             } catch (error) {
                 log('ERROR', 'CATALOG', `Error processing channel: ${channel.name}`, { 
@@ -277,10 +322,19 @@ ${channelData.description || ''}`;
             }
         });
         
-        const metas = await Promise.all(metaPromises);
+        const metas = (await Promise.all(metaPromises)).map(meta => (
+            offlineMode === 'mark' && isChannelOffline(meta.id.replace('nzfreeview-', '')) ? markOffline(meta) : meta
+        ));
         const totalDuration = Date.now() - startTime;
         
-        log('INFO', 'CATALOG', `Returning ${metas.length} channels`, { totalDuration });
+        log('INFO', 'CATALOG', `Returning ${metas.length} channels`, {
+            catalog: args.id,
+            totalDuration,
+            matching: matchingChannels.length,
+            skip,
+            ...(genre && { genre }),
+            ...(search && { search })
+        });
         
         return { metas };
         
@@ -293,7 +347,12 @@ ${channelData.description || ''}`;
 // Meta handler
 builder.defineMetaHandler(async (args) => {
     const startTime = Date.now();
-    const id = args.id.replace('nzfreeview-', '');
+    if (args.id.startsWith(RECORDING_ID_PREFIX)) {
+        const recording = getRecording(args.id.slice(RECORDING_ID_PREFIX.length));
+        return { meta: recording ? await toRecordingMeta(recording, getTimeOptions(args.config)) : null };
+    }
+    // Programme search hits append `:<start>` to the channel id
+    const id = args.id.replace('nzfreeview-', '').split(':')[0];
     log('INFO', 'META', 'Processing channel', { id });
 
     const tvData = await getTVData();
@@ -302,43 +361,47 @@ builder.defineMetaHandler(async (args) => {
         return { meta: null };
     }
 
-    const channel = allChannels.find(c => c.id === id);
-    if (!channel) {
+    const listedChannel = allChannels.find(c => c.id === id);
+    if (!listedChannel) {
         return { meta: null };
     }
+    // Settings made for a channel that was since replaced apply to its replacement
+    const { channelSettings } = resolveConfigChannels(args.config, allChannels);
+    const channel = applyChannelSettings(listedChannel, { channelSettings });
 
     try {
         const channelData = tvData[id];
-        const currentProgram = getCurrentProgram(channelData);
+        const currentProgram = getCurrentProgramme(channelData);
+        const timeOptions = getTimeOptions(args.config);
+        const description = describeChannel(channel, channelData, timeOptions);
 
-        let description = channelData.description || `Live channel: ${channel.name}`;
-        if (currentProgram) {
-            const startTime = new Date(currentProgram.start).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', hour12: false });
-            const endTime = new Date(currentProgram.end).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', hour12: false });
-            description = `Now: ${currentProgram.title} (${startTime} - ${endTime})
-
-${channelData.description || ''}`;
-        }
-
-        const genres = channelData.network ? [channelData.network] : ['Live'];
+        const genres = [getChannelGenre(channelData)];
+        // Now and what's coming up first, then catch-up from the most recent back
+        const schedule = [...getSchedule(channelData), ...getCatchupProgrammes(channel.id, channelData).reverse()];
+        const videos = buildScheduleVideos(channel, schedule, timeOptions);
 
         const duration = Date.now() - startTime;
-        log('DEBUG', 'META', `Processed channel: ${channel.name}`, { duration });
+        log('DEBUG', 'META', `Processed channel: ${channel.name}`, { duration, programmes: videos.length });
         
-        return { meta: {
-            id: 'nzfreeview-' + channel.id,
+        const meta = {
+            id: args.id, // Echo the requested id, which may be a programme search hit
             type: 'tv',
             name: channel.name || 'Unknown Channel',
             poster: channel.logo || DEFAULT_ICON,
             posterShape: 'landscape',
             logo: channel.logo || DEFAULT_ICON,
-            description: description.trim(),
-            background: channel.logo || DEFAULT_ICON,
+            description,
+            background: (currentProgram && currentProgram.image) || channel.logo || DEFAULT_ICON,
             country: ['NZ'],
             language: ['en'],
             genres,
-            chno: channel.chno
-        }};
+            chno: channel.chno,
+            videos
+        };
+
+        // Hidden channels can still be opened from links, so they are marked instead
+        const offline = getOfflineMode(args.config) !== 'show' && isChannelOffline(channel.id);
+        return { meta: offline ? markOffline(meta) : meta };
         
     } catch (error) {
         log('ERROR', 'META', 'Error processing channel', { 
@@ -347,7 +410,7 @@ ${channelData.description || ''}`;
         });
         
         return { meta: {
-            id: 'nzfreeview-' + channel.id,
+            id: args.id,
             type: 'tv',
             name: channel.name || 'Unknown Channel',
             poster: channel.logo || DEFAULT_ICON,
@@ -378,55 +441,36 @@ builder.defineStreamHandler(async (args) => {
         return { streams: [] };
     }
 
+    if (args.id.startsWith(RECORDING_ID_PREFIX)) {
+        const recording = getRecording(args.id.slice(RECORDING_ID_PREFIX.length));
+        const playable = recording && recording.segments > 0 && ['recording', 'completed'].includes(recording.status);
+        return { streams: playable ? [buildRecordingStream({ host, recording })] : [] };
+    }
+
     // The ID from Stremio includes our prefix. We need to remove it to match our internal channel ID.
-    const channelId = args.id.replace('nzfreeview-', '');
+    // Schedule entries from the meta handler append `:<start>`. They resolve to the live stream, led
+    // by a catch-up stream when the programme has started and is in the timeshift buffer.
+    const [channelId, programmeStart] = args.id.replace('nzfreeview-', '').split(':');
     const tvData = await getTVData();
-    const channelData = tvData[channelId];
+    const channelData = Object.hasOwn(tvData, channelId) ? tvData[channelId] : null;
     
     if (!channelData || !channelData.mjh_master) {
         return { streams: [] };
     }
 
-    const url = channelData.mjh_master;
-    
-    // Build proxy URL with headers - used for both the manifest and segments
-    let proxyUrl = `${host}/proxy/${encodeURIComponent(url)}`;
-    if (channelData.headers) {
-        const encodedHeaders = encodeURIComponent(JSON.stringify(channelData.headers));
-        proxyUrl += `?headers=${encodedHeaders}`;
-    }
-
-    // Define headers as a string to avoid double encoding
-    const defaultHeaders = {
-        'User-Agent': `stremio-freeview/${version}`,
-        'Referer': ' ',
-        'seekable': '0'
-    };
-
-    // Merge default headers with channel-specific headers
-    const streamHeaders = {
-        ...defaultHeaders,
-        ...(channelData.headers || {})
-    };
+    const streams = await buildChannelStreams({
+        host,
+        channelId,
+        channelData,
+        preferredStream: args.config && args.config.preferredStream
+    });
 
-    const stream = {
-        url: proxyUrl,
-        name: 'NZ Freeview (Proxied)',
-        // Use `description` as `title` is being deprecated.
-        description: `${channelData.name || 'Unknown Channel'}`,
-        behaviorHints: {
-            // Live stream flags
-            isLive: true,
-            bingeGroup: `nzfreeview-${channelId}`,
-            // Transport hints
-            notWebReady: true, // Force proxying for web player
-            proxyHeaders: {
-                request: streamHeaders
-            }
-        }
-    };
-    
-    const streams = [stream];
+    const programme = programmeStart && getProgrammes(channelData)
+        .find(program => program.start === parseInt(programmeStart, 10) * 1000 && program.start <= Date.now());
+    const catchupStream = programme && buildCatchupStream({ host, channelId, channelData, programme });
+    if (catchupStream) {
+        streams.unshift(catchupStream);
+    }
 
     const duration = Date.now() - startTime;
     log('INFO', 'STREAM', 'Returning streams', { 
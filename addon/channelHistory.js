@@ -0,0 +1,114 @@
+// Every channel the data source has listed, with the name and number it last had, so saved configs
+// keep working when a channel is removed or re-listed under a new ID. A config channel that no
+// longer exists is mapped to a current channel with the same name, or failing that the same number.
+const { log } = require('./logger');
+const { readCacheEntry, writeCacheEntry } = require('./diskCache');
+const { normalizeSearch } = require('./epgSearch');
+
+const HISTORY_CONFIG = {
+    CACHE_KEY: 'channel-history',
+    MAX_AGE: 180 * 24 * 60 * 60 * 1000, // Forget channels gone for this long
+    SAVE_INTERVAL: 24 * 60 * 60 * 1000 // Keep lastSeen on disk roughly current even when nothing changes
+};
+
+// channelId -> { name, chno, lastSeen }
+let history = {};
+let lastSaved = 0;
+
+async function initChannelHistory() {
+    const entry = await readCacheEntry(HISTORY_CONFIG.CACHE_KEY);
+    if (entry && entry.channels) {
+        history = { ...entry.channels, ...history };
+    }
+}
+
+// Record the channels in the current data, saving the history when a channel appears or changes
+function recordChannels(tvData) {
+    const now = Date.now();
+    let changed = false;
+
+    Object.entries(tvData).forEach(([id, channel]) => {
+        const previous = history[id];
+        if (!previous || previous.name !== channel.name || previous.chno !== channel.chno) {
+            changed = true;
+        }
+        history[id] = { name: channel.name, chno: channel.chno, lastSeen: now };
+    });
+
+    Object.keys(history).forEach(id => {
+        if (now - history[id].lastSeen > HISTORY_CONFIG.MAX_AGE) {
+            delete history[id];
+            changed = true;
+        }
+    });
+
+    if (changed || now - lastSaved > HISTORY_CONFIG.SAVE_INTERVAL) {
+        lastSaved = now;
+        writeCacheEntry(HISTORY_CONFIG.CACHE_KEY, { channels: history });
+    }
+}
+
+// The current channel that took over from a channel that is gone, or null. Channels in `claimed`
+// are already in the config and are never used as replacements.
+function findReplacement(id, channels, claimed) {
+    const previous = history[id];
+    if (!previous) return null;
+
+    const candidates = channels.filter(channel => !claimed.has(channel.id));
+    const name = normalizeSearch(previous.name);
+    const byName = name ? candidates.filter(channel => normalizeSearch(channel.name) === name) : [];
+    const byNumber = previous.chno ? candidates.filter(channel => String(channel.chno) === String(previous.chno)) : [];
+    // Only an unambiguous match counts
+    const replacement = byName.length === 1 ? byName[0] : (!byName.length && byNumber.length === 1 ? byNumber[0] : null);
+
+    if (replacement) {
+        log('DEBUG', 'CHANNELS', 'Mapped a removed channel', { from: id, to: replacement.id, name: previous.name });
+    }
+    return replacement;
+}
+
+// Resolve a config's channel list against the current channels ({ id, name, chno } as listed by
+// the data source). Returns the channel IDs in the user's order with removed channels mapped to
+// their replacements, the excluded IDs mapped the same way, the channel settings with those of a
+// removed channel carried over to its replacement, the replacements made, and the IDs of channels
+// the config doesn't know. A config without a channel list includes every channel, so it has no
+// new channels.
+function resolveConfigChannels(config, channels) {
+    const currentIds = new Set(channels.map(channel => channel.id));
+    const channelSettings = { ...(config && config.channelSettings) };
+    if (!config || !Array.isArray(config.channels)) {
+        return { channelIds: [...currentIds], excludedIds: [], channelSettings, replacements: {}, newIds: [] };
+    }
+
+    const excluded = Array.isArray(config.excludedChannels) ? config.excludedChannels : [];
+    const claimed = new Set([...config.channels, ...excluded].filter(id => currentIds.has(id)));
+    const replacements = {};
+    const resolve = (id) => {
+        if (currentIds.has(id)) return id;
+        const replacement = findReplacement(id, channels, claimed);
+        if (!replacement) return null;
+        claimed.add(replacement.id);
+        replacements[id] = replacement.id;
+        if (channelSettings[id] && !channelSettings[replacement.id]) {
+            channelSettings[replacement.id] = channelSettings[id];
+        }
+        return replacement.id;
+    };
+
+    const channelIds = config.channels.map(resolve).filter(Boolean);
+    const excludedIds = excluded.map(resolve).filter(Boolean);
+    return {
+        channelIds,
+        excludedIds,
+        channelSettings,
+        replacements,
+        newIds: channels.map(channel => channel.id).filter(id => !claimed.has(id))
+    };
+}
+
+module.exports = {
+    HISTORY_CONFIG,
+    initChannelHistory,
+    recordChannels,
+    resolveConfigChannels
+};
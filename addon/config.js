@@ -0,0 +1,209 @@
+// User config schema, shared by the server and the config page (served as /configure/config.js).
+// Install URLs carry the config as URL-safe base64 JSON. Every config is migrated to the current
+// version and then validated field by field: invalid settings fall back to their defaults and are
+// reported in `errors` instead of leaving the user with an empty catalog.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.NZFreeviewConfig = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    const CONFIG_VERSION = 2;
+
+    const PREFERRED_STREAMS = ['auto', 'highest', 'lowest', 'direct'];
+    const OFFLINE_MODES = ['show', 'mark', 'hide'];
+    // What happens to channels added to the data after a config was made
+    const NEW_CHANNEL_MODES = ['ignore', 'append', 'catalog'];
+    const DEFAULT_TIMEZONE = 'Pacific/Auckland';
+    const MAX_CHANNEL_NAME_LENGTH = 60;
+
+    function getDefaultConfig() {
+        return {
+            version: CONFIG_VERSION,
+            channels: null, // Channel IDs in the user's order, or null for every channel
+            excludedChannels: [], // Channels the user left out, so later additions can be told apart
+            catalogs: null, // Catalog IDs in the user's order; unlisted catalogs follow in the default order
+            hiddenCatalogs: [],
+            channelSettings: {}, // Per-channel { name, chno, favourite } overrides, by channel ID
+            newChannels: 'ignore',
+            preferredStream: 'auto',
+            offlineChannels: 'show',
+            timezone: DEFAULT_TIMEZONE,
+            hour12: false
+        };
+    }
+
+    function isValidTimezone(timezone) {
+        if (typeof timezone !== 'string' || !timezone) return false;
+        try {
+            new Intl.DateTimeFormat('en-NZ', { timeZone: timezone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    function isIdList(value) {
+        return Array.isArray(value) && value.every(id => typeof id === 'string' && id.length > 0);
+    }
+
+    function isPlainObject(value) {
+        return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    function validateChannelSetting(id, setting) {
+        if (!isPlainObject(setting)) return `channelSettings.${id} must be an object`;
+        const unknown = Object.keys(setting).find(key => !['name', 'chno', 'favourite'].includes(key));
+        if (unknown) return `channelSettings.${id} has an unknown setting "${unknown}"`;
+        if (setting.name !== undefined && (typeof setting.name !== 'string' || !setting.name.trim()
+            || setting.name.length > MAX_CHANNEL_NAME_LENGTH)) {
+            return `channelSettings.${id}.name must be 1 to ${MAX_CHANNEL_NAME_LENGTH} characters`;
+        }
+        if (setting.chno !== undefined && !(Number.isInteger(setting.chno) && setting.chno > 0 && setting.chno < 10000)) {
+            return `channelSettings.${id}.chno must be a whole number from 1 to 9999`;
+        }
+        if (setting.favourite !== undefined && typeof setting.favourite !== 'boolean') {
+            return `channelSettings.${id}.favourite must be true or false`;
+        }
+        return null;
+    }
+
+    // Each validator returns an error message, or null when the value is acceptable
+    const VALIDATORS = {
+        channels: value => {
+            if (value === null) return null;
+            if (!isIdList(value)) return 'channels must be a list of channel IDs';
+            return value.length ? null : 'channels is empty';
+        },
+        excludedChannels: value => (isIdList(value) ? null : 'excludedChannels must be a list of channel IDs'),
+        catalogs: value => (value === null || isIdList(value) ? null : 'catalogs must be a list of catalog IDs'),
+        hiddenCatalogs: value => (isIdList(value) ? null : 'hiddenCatalogs must be a list of catalog IDs'),
+        channelSettings: value => {
+            if (!isPlainObject(value)) return 'channelSettings must be an object keyed by channel ID';
+            return Object.keys(value).map(id => validateChannelSetting(id, value[id])).find(Boolean) || null;
+        },
+        newChannels: value => (NEW_CHANNEL_MODES.includes(value)
+            ? null
+            : `newChannels must be one of ${NEW_CHANNEL_MODES.join(', ')}`),
+        preferredStream: value => (PREFERRED_STREAMS.includes(value)
+            ? null
+            : `preferredStream must be one of ${PREFERRED_STREAMS.join(', ')}`),
+        offlineChannels: value => (OFFLINE_MODES.includes(value)
+            ? null
+            : `offlineChannels must be one of ${OFFLINE_MODES.join(', ')}`),
+        timezone: value => (isValidTimezone(value) ? null : 'timezone must be an IANA timezone such as Pacific/Auckland'),
+        hour12: value => (typeof value === 'boolean' ? null : 'hour12 must be true or false')
+    };
+
+    // MIGRATIONS[n] upgrades a config from version n - 1. `context.catalogIds` lists the catalogs the
+    // addon currently offers, when the caller knows them.
+    const MIGRATIONS = {
+        // Version 1 is the unversioned { channels, catalogs, preferredStream, offlineChannels } config,
+        // where `catalogs` listed only the enabled catalogs. Those left out become hidden catalogs.
+        2: (config, context) => {
+            const migrated = { ...config, version: 2 };
+            if (Array.isArray(config.catalogs) && Array.isArray(context.catalogIds)) {
+                migrated.hiddenCatalogs = context.catalogIds.filter(id => !config.catalogs.includes(id));
+            }
+            return migrated;
+        }
+    };
+
+    // Validate a current-version config, keeping the valid settings
+    function validateConfig(config) {
+        const result = getDefaultConfig();
+        const errors = [];
+
+        Object.keys(config).forEach(key => {
+            if (key === 'version') return;
+            if (!VALIDATORS[key]) {
+                errors.push(`Unknown setting "${key}" was ignored`);
+                return;
+            }
+            const error = VALIDATORS[key](config[key]);
+            if (error) {
+                errors.push(`${error}; using the default`);
+                return;
+            }
+            result[key] = Array.isArray(config[key]) ? [...new Set(config[key])] : config[key];
+        });
+
+        return { config: result, errors };
+    }
+
+    // Migrate and validate a decoded config of any version. Always returns a usable config.
+    function normalizeConfig(raw, context = {}) {
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+            return { config: getDefaultConfig(), errors: ['Config must be a JSON object; using the defaults'] };
+        }
+
+        const errors = [];
+        let config = raw;
+        let version = Number.isInteger(raw.version) && raw.version > 0 ? raw.version : 1;
+
+        if (version > CONFIG_VERSION) {
+            errors.push(`Config version ${version} is newer than this addon supports (${CONFIG_VERSION})`);
+        }
+        while (version < CONFIG_VERSION) {
+            version++;
+            config = MIGRATIONS[version](config, context);
+        }
+
+        const validated = validateConfig(config);
+        return { config: validated.config, errors: errors.concat(validated.errors) };
+    }
+
+    function toBase64Url(text) {
+        const base64 = typeof Buffer !== 'undefined'
+            ? Buffer.from(text, 'utf8').toString('base64')
+            : btoa(unescape(encodeURIComponent(text)));
+        return base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    function fromBase64Url(value) {
+        const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+        return typeof Buffer !== 'undefined'
+            ? Buffer.from(base64, 'base64').toString('utf8')
+            : decodeURIComponent(escape(atob(base64)));
+    }
+
+    // Decode a config from an install URL. A missing config is the default config.
+    function decodeConfig(value, context = {}) {
+        if (!value) return { config: getDefaultConfig(), errors: [] };
+
+        let raw;
+        try {
+            raw = JSON.parse(fromBase64Url(String(value)));
+        } catch (error) {
+            return { config: getDefaultConfig(), errors: ['Config could not be decoded; using the defaults'] };
+        }
+        return normalizeConfig(raw, context);
+    }
+
+    // Encode a config for an install URL, leaving out settings that match the defaults
+    function encodeConfig(config) {
+        const defaults = getDefaultConfig();
+        const compact = { version: CONFIG_VERSION };
+        Object.keys(VALIDATORS).forEach(key => {
+            if (config[key] !== undefined && JSON.stringify(config[key]) !== JSON.stringify(defaults[key])) {
+                compact[key] = config[key];
+            }
+        });
+        return toBase64Url(JSON.stringify(compact));
+    }
+
+    return {
+        CONFIG_VERSION,
+        PREFERRED_STREAMS,
+        OFFLINE_MODES,
+        NEW_CHANNEL_MODES,
+        DEFAULT_TIMEZONE,
+        getDefaultConfig,
+        isValidTimezone,
+        validateConfig,
+        normalizeConfig,
+        decodeConfig,
+        encodeConfig
+    };
+}));
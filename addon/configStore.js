@@ -0,0 +1,156 @@
+// Saved user configs, addressed by short IDs so install URLs stay short (/c/<id>/manifest.json).
+// The storage backend is pluggable and chosen with CONFIG_STORE: 'file' (default) keeps one JSON
+// file per config in CONFIG_STORE_DIR, 'memory' keeps them in the process. Saving returns an edit key
+// that is required to change the config later; only its hash is stored.
+//
+// The file backend needs CONFIG_STORE_DIR on storage that outlives the instance, or short links would
+// break on the next redeploy or scale event. Without it saving is refused and the config page keeps
+// the full config in the install URL instead.
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { log } = require('./logger');
+const { CACHE_DIR } = require('./diskCache');
+
+const STORE_CONFIG = {
+    BACKEND: process.env.CONFIG_STORE || 'file',
+    DIR: process.env.CONFIG_STORE_DIR || path.join(CACHE_DIR, 'configs'),
+    // The memory backend is only ever chosen on purpose, e.g. for local development
+    ENABLED: Boolean(process.env.CONFIG_STORE_DIR) || process.env.CONFIG_STORE === 'memory',
+    ID_LENGTH: 8,
+    MAX_ID_ATTEMPTS: 5
+};
+
+// Lowercase letters and digits without lookalikes, so IDs survive being typed on a TV
+const ID_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+const ID_PATTERN = /^[a-z0-9]{4,32}$/;
+
+class ConfigStoreError extends Error {
+    constructor(message, reason) {
+        super(message);
+        this.name = 'ConfigStoreError';
+        this.reason = reason;
+    }
+}
+
+function createFileBackend(dir) {
+    const getPath = (id) => path.join(dir, `${id}.json`);
+
+    return {
+        name: 'file',
+        async get(id) {
+            try {
+                return JSON.parse(await fs.readFile(getPath(id), 'utf8'));
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+        // Written to a temporary file first so a crash never leaves a half-written config behind
+        async set(id, record) {
+            const filePath = getPath(id);
+            const tempPath = `${filePath}.${process.pid}.tmp`;
+            await fs.mkdir(dir, { recursive: true });
+            try {
+                await fs.writeFile(tempPath, JSON.stringify(record));
+                await fs.rename(tempPath, filePath);
+            } catch (error) {
+                await fs.rm(tempPath, { force: true }).catch(() => {});
+                throw error;
+            }
+        }
+    };
+}
+
+function createMemoryBackend() {
+    const records = new Map();
+    return {
+        name: 'memory',
+        async get(id) {
+            return records.has(id) ? JSON.parse(records.get(id)) : null;
+        },
+        async set(id, record) {
+            records.set(id, JSON.stringify(record));
+        }
+    };
+}
+
+const BACKENDS = {
+    file: () => createFileBackend(STORE_CONFIG.DIR),
+    memory: createMemoryBackend
+};
+
+function createBackend(type) {
+    if (!BACKENDS[type]) {
+        log('ERROR', 'CONFIG_STORE', `Unknown CONFIG_STORE "${type}", using the file store`);
+        return BACKENDS.file();
+    }
+    return BACKENDS[type]();
+}
+
+const backend = createBackend(STORE_CONFIG.BACKEND);
+if (!STORE_CONFIG.ENABLED) {
+    log('WARN', 'CONFIG_STORE', 'CONFIG_STORE_DIR not set. Short config links are disabled; install URLs carry the full config.');
+}
+
+function generateId() {
+    const bytes = crypto.randomBytes(STORE_CONFIG.ID_LENGTH);
+    return Array.from(bytes, byte => ID_ALPHABET[byte % ID_ALPHABET.length]).join('');
+}
+
+function hashKey(editKey) {
+    return crypto.createHash('sha256').update(String(editKey)).digest('hex');
+}
+
+function isValidConfigId(id) {
+    return typeof id === 'string' && ID_PATTERN.test(id);
+}
+
+// The saved config, or null when there is no config with that ID
+async function loadConfig(id) {
+    if (!isValidConfigId(id)) return null;
+    const record = await backend.get(id);
+    return record ? record.config : null;
+}
+
+async function saveConfig(config) {
+    if (!STORE_CONFIG.ENABLED) {
+        throw new ConfigStoreError('Short links are not available on this server', 'disabled');
+    }
+    for (let attempt = 0; attempt < STORE_CONFIG.MAX_ID_ATTEMPTS; attempt++) {
+        const id = generateId();
+        if (await backend.get(id)) continue;
+
+        const editKey = crypto.randomBytes(18).toString('base64url');
+        const now = new Date().toISOString();
+        await backend.set(id, { config, keyHash: hashKey(editKey), createdAt: now, updatedAt: now });
+        log('INFO', 'CONFIG_STORE', 'Saved config', { id, backend: backend.name });
+        return { id, editKey };
+    }
+    throw new ConfigStoreError('Could not allocate a config ID', 'id-exhausted');
+}
+
+async function updateConfig(id, editKey, config) {
+    const record = isValidConfigId(id) ? await backend.get(id) : null;
+    if (!record) {
+        throw new ConfigStoreError(`No saved config with ID ${id}`, 'not-found');
+    }
+
+    const expected = Buffer.from(record.keyHash, 'hex');
+    const actual = Buffer.from(hashKey(editKey), 'hex');
+    if (!editKey || !crypto.timingSafeEqual(expected, actual)) {
+        throw new ConfigStoreError('The edit key does not match this config', 'invalid-key');
+    }
+
+    await backend.set(id, { ...record, config, updatedAt: new Date().toISOString() });
+    log('INFO', 'CONFIG_STORE', 'Updated config', { id });
+}
+
+module.exports = {
+    STORE_CONFIG,
+    ConfigStoreError,
+    isValidConfigId,
+    loadConfig,
+    saveConfig,
+    updateConfig
+};
@@ -0,0 +1,42 @@
+// Small JSON file cache used to persist the last good channel data across restarts.
+// The directory is set with CACHE_DIR; point it at a mounted volume to survive Cloud Run cold starts.
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { log } = require('./logger');
+
+const CACHE_DIR = process.env.CACHE_DIR || path.join(os.tmpdir(), 'nz-freeview-addon');
+
+function getCachePath(name) {
+    const slug = name.replace(/[^a-z0-9._-]+/gi, '_').slice(0, 40);
+    const hash = crypto.createHash('sha1').update(name).digest('hex').slice(0, 8);
+    return path.join(CACHE_DIR, `${slug}-${hash}.json`);
+}
+
+async function readCacheEntry(name) {
+    try {
+        return JSON.parse(await fs.readFile(getCachePath(name), 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            log('WARN', 'DISK_CACHE', `Could not read cache entry ${name}`, { error: error.message });
+        }
+        return null;
+    }
+}
+
+// Writes go to a temporary file first so a crash never leaves a half-written entry behind
+async function writeCacheEntry(name, entry) {
+    const filePath = getCachePath(name);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    try {
+        await fs.mkdir(CACHE_DIR, { recursive: true });
+        await fs.writeFile(tempPath, JSON.stringify(entry));
+        await fs.rename(tempPath, filePath);
+    } catch (error) {
+        log('WARN', 'DISK_CACHE', `Could not write cache entry ${name}`, { error: error.message });
+        await fs.rm(tempPath, { force: true }).catch(() => {});
+    }
+}
+
+module.exports = { CACHE_DIR, readCacheEntry, writeCacheEntry };
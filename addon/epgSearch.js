@@ -0,0 +1,50 @@
+// Programme search across the whole EPG.
+// Every channel's programmes are flattened into one index with pre-normalised titles when the TV data
+// changes, so a search is a single scan instead of a walk over every channel's schedule.
+const { log } = require('./logger');
+const { getProgrammes } = require('./programmes');
+
+let programmeIndex = [];
+
+// Lowercase and strip diacritics so "maori" matches "Māori"
+function normalizeSearch(text) {
+    return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+}
+
+function rebuildProgrammeIndex(tvData) {
+    const startTime = Date.now();
+    const entries = [];
+
+    for (const [channelId, channel] of Object.entries(tvData || {})) {
+        getProgrammes(channel).forEach(programme => {
+            entries.push({ ...programme, channelId, searchTitle: normalizeSearch(programme.title) });
+        });
+    }
+
+    entries.sort((a, b) => a.start - b.start);
+    programmeIndex = entries;
+
+    log('DEBUG', 'EPG_SEARCH', `Indexed ${entries.length} programmes`, { duration: Date.now() - startTime });
+}
+
+// Programmes whose title contains the query and that have not finished yet, soonest first.
+// `channelIds` limits the results to the user's channels.
+function searchProgrammes(query, channelIds) {
+    const normalized = normalizeSearch(query);
+    if (!normalized) return [];
+
+    const now = Date.now();
+    const allowed = channelIds ? new Set(channelIds) : null;
+
+    return programmeIndex.filter(entry => (
+        entry.end > now
+        && (!allowed || allowed.has(entry.channelId))
+        && entry.searchTitle.includes(normalized)
+    ));
+}
+
+module.exports = {
+    normalizeSearch,
+    rebuildProgrammeIndex,
+    searchProgrammes
+};
@@ -0,0 +1,89 @@
+// M3U playlist and XMLTV guide export for players outside Stremio (Kodi, TiviMate, VLC).
+const { buildProxyUrl } = require('./streams');
+const { getProgrammes } = require('./programmes');
+const { TOKEN_CONFIG } = require('../proxy/tokens');
+const { version } = require('../package.json');
+
+function escapeAttribute(value) {
+    return String(value).replace(/"/g, "'").replace(/[\r\n]+/g, ' ');
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// XMLTV timestamps, always written in UTC, e.g. "20240501073000 +0000"
+function formatXMLTVTime(timestamp) {
+    return new Date(timestamp).toISOString().replace(/[-:T]/g, '').slice(0, 14) + ' +0000';
+}
+
+// channels is the user's ordered channel list, tvData the raw channel model keyed by ID
+function buildM3U({ channels, tvData, host, epgUrl }) {
+    const lines = [epgUrl ? `#EXTM3U url-tvg="${escapeAttribute(epgUrl)}"` : '#EXTM3U'];
+
+    channels.forEach(channel => {
+        const channelData = tvData[channel.id];
+        if (!channelData || !channelData.mjh_master) return;
+
+        const attributes = [
+            `tvg-id="${escapeAttribute(channel.id)}"`,
+            `tvg-name="${escapeAttribute(channel.name || channel.id)}"`
+        ];
+        if (channel.chno) attributes.push(`tvg-chno="${escapeAttribute(channel.chno)}"`);
+        if (channel.logo) attributes.push(`tvg-logo="${escapeAttribute(channel.logo)}"`);
+        if (channel.network) attributes.push(`group-title="${escapeAttribute(channel.network)}"`);
+
+        lines.push(`#EXTINF:-1 ${attributes.join(' ')},${channel.name || channel.id}`);
+        lines.push(buildProxyUrl(host, channelData.mjh_master, {
+            channelId: channel.id,
+            headers: channelData.headers,
+            ttl: TOKEN_CONFIG.EXPORT_TTL
+        }));
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+function buildXMLTV({ channels, tvData }) {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<!DOCTYPE tv SYSTEM "xmltv.dtd">',
+        `<tv generator-info-name="nz-freeview-addon/${version}">`
+    ];
+
+    channels.forEach(channel => {
+        lines.push(`  <channel id="${escapeXml(channel.id)}">`);
+        lines.push(`    <display-name>${escapeXml(channel.name || channel.id)}</display-name>`);
+        if (channel.chno) lines.push(`    <display-name>${escapeXml(channel.chno)}</display-name>`);
+        if (channel.logo) lines.push(`    <icon src="${escapeXml(channel.logo)}"/>`);
+        lines.push('  </channel>');
+    });
+
+    channels.forEach(channel => {
+        getProgrammes(tvData[channel.id]).forEach(program => {
+            lines.push(`  <programme start="${formatXMLTVTime(program.start)}" stop="${formatXMLTVTime(program.end)}" channel="${escapeXml(channel.id)}">`);
+            lines.push(`    <title lang="en">${escapeXml(program.title)}</title>`);
+            if (program.subTitle) lines.push(`    <sub-title lang="en">${escapeXml(program.subTitle)}</sub-title>`);
+            if (program.description) lines.push(`    <desc lang="en">${escapeXml(program.description)}</desc>`);
+            if (program.image) lines.push(`    <icon src="${escapeXml(program.image)}"/>`);
+            if (program.season !== null || program.episode !== null) {
+                // xmltv_ns numbering is zero-based
+                const season = program.season !== null ? program.season - 1 : '';
+                const episode = program.episode !== null ? program.episode - 1 : '';
+                lines.push(`    <episode-num system="xmltv_ns">${season}.${episode}.</episode-num>`);
+            }
+            if (program.rating) lines.push(`    <rating><value>${escapeXml(program.rating)}</value></rating>`);
+            lines.push('  </programme>');
+        });
+    });
+
+    lines.push('</tv>');
+    return lines.join('\n') + '\n';
+}
+
+module.exports = { buildM3U, buildXMLTV };
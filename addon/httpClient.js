@@ -0,0 +1,137 @@
+// Shared policy for upstream HTTP fetches (channel data, master playlists, captured segments and the
+// stream proxy): a timeout per attempt, retries with exponential backoff and jitter, status checks
+// and a circuit breaker per host, so a host that keeps failing is left alone for a while instead of
+// every request waiting on it.
+const { log } = require('./logger');
+
+const HTTP_CONFIG = {
+    TIMEOUT: (parseInt(process.env.UPSTREAM_TIMEOUT, 10) || 10) * 1000,
+    RETRIES: 2,
+    BACKOFF_BASE: 500,
+    BACKOFF_MAX: 5000,
+    BREAKER_THRESHOLD: 5, // Consecutive failures that open a host's circuit
+    BREAKER_COOLDOWN: 30 * 1000
+};
+
+class UpstreamError extends Error {
+    // reason: 'timeout', 'network', 'http-status' or 'circuit-open'
+    constructor(message, reason, status = null) {
+        super(message);
+        this.name = 'UpstreamError';
+        this.reason = reason;
+        this.status = status;
+    }
+}
+
+// host -> { failures, openUntil, probingSince }; hosts without failures have no entry
+const circuits = new Map();
+
+// Throws when the host's circuit is open. After the cooldown one request is let through to try the
+// host again; the others are still refused until it reports back (or takes longer than a timeout).
+function checkCircuit(host) {
+    const circuit = circuits.get(host);
+    if (!circuit || circuit.failures < HTTP_CONFIG.BREAKER_THRESHOLD) return;
+
+    const now = Date.now();
+    const probing = circuit.probingSince && now - circuit.probingSince < HTTP_CONFIG.TIMEOUT * 2;
+    if (now < circuit.openUntil || probing) {
+        throw new UpstreamError(`${host} is failing, not trying it again until ${new Date(circuit.openUntil).toISOString()}`, 'circuit-open');
+    }
+    circuit.probingSince = now;
+}
+
+// Record how a request to the host went. Responses count as a success unless they are server errors.
+function reportResult(host, ok) {
+    const circuit = circuits.get(host);
+    if (ok) {
+        if (circuit && circuit.failures >= HTTP_CONFIG.BREAKER_THRESHOLD) {
+            log('INFO', 'HTTP', `${host} is responding again, closing its circuit`);
+        }
+        circuits.delete(host);
+        return;
+    }
+
+    const updated = circuit || { failures: 0, openUntil: 0, probingSince: 0 };
+    updated.failures++;
+    updated.probingSince = 0;
+    if (updated.failures >= HTTP_CONFIG.BREAKER_THRESHOLD) {
+        if (updated.failures === HTTP_CONFIG.BREAKER_THRESHOLD) {
+            log('WARN', 'HTTP', `${host} failed ${updated.failures} times in a row, opening its circuit`);
+        }
+        updated.openUntil = Date.now() + HTTP_CONFIG.BREAKER_COOLDOWN;
+    }
+    circuits.set(host, updated);
+}
+
+function getRetryDelay(attempt, res) {
+    const retryAfter = res ? parseInt(res.headers.get('retry-after'), 10) : NaN;
+    if (retryAfter >= 0) return Math.min(retryAfter * 1000, HTTP_CONFIG.BACKOFF_MAX);
+    const backoff = Math.min(HTTP_CONFIG.BACKOFF_BASE * 2 ** attempt, HTTP_CONFIG.BACKOFF_MAX);
+    // Half fixed, half random, so requests that failed together don't all retry together
+    return backoff / 2 + Math.random() * backoff / 2;
+}
+
+function isRetryable(error) {
+    if (error.reason === 'circuit-open') return false;
+    return error.reason !== 'http-status' || error.status >= 500 || error.status === 429;
+}
+
+// fetch() with the upstream policy. Resolves with the response once it has an acceptable status: 2xx,
+// or one `acceptStatus` allows (e.g. 304 for conditional requests). Rejects with an UpstreamError
+// after the last attempt fails. Timeouts apply per attempt and keep running while the body is read.
+// With `circuit: false` the host's circuit breaker is neither consulted nor updated, for checks that
+// must reach the host whatever state it is in.
+async function fetchWithRetry(url, {
+    headers = {},
+    timeout = HTTP_CONFIG.TIMEOUT,
+    retries = HTTP_CONFIG.RETRIES,
+    acceptStatus = () => false,
+    circuit = true
+} = {}) {
+    const { host } = new URL(url);
+    const report = (ok) => {
+        if (circuit) reportResult(host, ok);
+    };
+
+    for (let attempt = 0; ; attempt++) {
+        if (circuit) checkCircuit(host);
+
+        let res = null;
+        let error;
+        try {
+            res = await fetch(url, { headers, signal: AbortSignal.timeout(timeout) });
+            report(res.status < 500);
+            if (res.ok || acceptStatus(res.status)) return res;
+            error = new UpstreamError(`HTTP ${res.status} for ${url}`, 'http-status', res.status);
+        } catch (fetchError) {
+            report(false);
+            error = fetchError.name === 'TimeoutError'
+                ? new UpstreamError(`Timed out after ${timeout}ms fetching ${url}`, 'timeout')
+                : new UpstreamError(`Could not fetch ${url}: ${(fetchError.cause && fetchError.cause.message) || fetchError.message}`, 'network');
+        }
+
+        if (!isRetryable(error) || attempt >= retries) throw error;
+        if (res && res.body) res.body.cancel().catch(() => {});
+        const delay = getRetryDelay(attempt, res);
+        log('DEBUG', 'HTTP', `Retrying ${url} in ${Math.round(delay)}ms`, { attempt: attempt + 1, error: error.message });
+        await new Promise(resolve => setTimeout(resolve, delay));
+    }
+}
+
+function getCircuitStats() {
+    const now = Date.now();
+    return [...circuits.entries()].map(([host, circuit]) => ({
+        host,
+        failures: circuit.failures,
+        open: circuit.failures >= HTTP_CONFIG.BREAKER_THRESHOLD && now < circuit.openUntil
+    }));
+}
+
+module.exports = {
+    HTTP_CONFIG,
+    UpstreamError,
+    checkCircuit,
+    reportResult,
+    fetchWithRetry,
+    getCircuitStats
+};
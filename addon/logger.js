@@ -0,0 +1,85 @@
+// Enhanced logging system for production debugging
+//
+// LOG_FORMAT=json writes one JSON object per line in the shape Cloud Logging parses (severity,
+// message, timestamp and the rest as fields). Lines logged while handling a request carry its
+// correlation ID, set by withRequestId() in server.js.
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LOG_LEVELS = {
+    DEBUG: 0,
+    INFO: 1,
+    WARN: 2,
+    ERROR: 3
+};
+
+const CURRENT_LOG_LEVEL = process.env.LOG_LEVEL || 'INFO';
+// DEBUG is 0, so a plain `||` fallback would turn it into INFO
+const getLevelNum = (level) => (level in LOG_LEVELS ? LOG_LEVELS[level] : LOG_LEVELS.INFO);
+const LOG_LEVEL_NUM = getLevelNum(CURRENT_LOG_LEVEL);
+const LOG_FORMAT = process.env.LOG_FORMAT === 'json' ? 'json' : 'text';
+// Cloud Logging groups lines by trace when it knows the project
+const TRACE_PROJECT = process.env.GOOGLE_CLOUD_PROJECT || null;
+
+const requestContext = new AsyncLocalStorage();
+
+// Run fn with a request's correlation ID (and Cloud Trace ID, if any) attached to its log lines
+function withRequestId(context, fn) {
+    return requestContext.run(context, fn);
+}
+
+// Run fn outside any request's context, for background work that outlives the request that started
+// it (captures, refreshes), so its log lines don't carry that request's ID
+function withoutRequestId(fn) {
+    return requestContext.exit(fn);
+}
+
+function getRequestId() {
+    const context = requestContext.getStore();
+    return context ? context.requestId : null;
+}
+
+function writeJson(level, component, message, data) {
+    const context = requestContext.getStore();
+    const entry = {
+        severity: level === 'WARN' ? 'WARNING' : level,
+        timestamp: new Date().toISOString(),
+        component,
+        message,
+        ...(context && { requestId: context.requestId }),
+        ...(context && context.traceId && TRACE_PROJECT && {
+            'logging.googleapis.com/trace': `projects/${TRACE_PROJECT}/traces/${context.traceId}`
+        }),
+        ...(data && { data })
+    };
+    let line;
+    try {
+        line = JSON.stringify(entry);
+    } catch (error) {
+        line = JSON.stringify({ ...entry, data: String(data) });
+    }
+    process.stdout.write(`${line}\n`);
+}
+
+function log(level, component, message, data = null) {
+    const levelNum = getLevelNum(level);
+    if (levelNum >= LOG_LEVEL_NUM) {
+        if (LOG_FORMAT === 'json') {
+            writeJson(level, component, message, data);
+            return;
+        }
+
+        const timestamp = new Date().toISOString();
+        const requestId = getRequestId();
+        const prefix = `[${timestamp}] [${level}] [${component}]${requestId ? ` [${requestId}]` : ''}`;
+
+        if (level === 'ERROR') {
+            console.error(`${prefix} ${message}`, data || '');
+        } else if (level === 'WARN') {
+            console.warn(`${prefix} ${message}`, data || '');
+        } else {
+            console.log(`${prefix} ${message}`, data || '');
+        }
+    }
+}
+
+module.exports = { log, LOG_LEVELS, withRequestId, withoutRequestId, getRequestId };
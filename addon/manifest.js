@@ -0,0 +1,192 @@
+// Addon manifest. The static manifest is what the SDK builder validates; the manifest actually served
+// is built per user from the live channel data and their config (see buildManifest).
+const { log } = require('./logger');
+const { resolveConfigChannels } = require('./channelHistory');
+const { isRecordingEnabled } = require('./recordings');
+
+// The addon's public host URL. This is critical for generating absolute stream URLs.
+// It's automatically detected from Google Cloud Run's K_SERVICE_URL environment variable.
+// If deploying elsewhere, the ADDON_HOST environment variable must be set manually.
+const ADDON_HOST = process.env.K_SERVICE_URL || process.env.ADDON_HOST;
+
+if (!ADDON_HOST) {
+    log('WARN', 'CONFIG', 'Addon host URL not configured. Will be derived from request.');
+} else {
+    log('INFO', 'CONFIG', `Public addon host detected: ${ADDON_HOST}`);
+}
+
+// Read version from package.json to have a single source of truth
+const { version } = require('../package.json');
+
+// Construct the absolute logo URL. This is essential for Stremio clients (especially web)
+// to be able to load the image. We fall back to a generic icon if the host is not available.
+const LOGO_URL = ADDON_HOST
+    ? `${ADDON_HOST}/static/Logo.png`
+    : 'https://i.mjh.nz/tv-logo/tvmate/Freeview.png';
+
+const MAIN_CATALOG_ID = 'nzfreeview';
+const FAVOURITES_CATALOG_ID = 'nzfreeview-favourites';
+const NEW_CHANNELS_CATALOG_ID = 'nzfreeview-new';
+const ON_NOW_CATALOG_ID = 'nzfreeview-onnow';
+const SEARCH_CATALOG_ID = 'nzfreeview-programmes';
+const RECORDINGS_CATALOG_ID = 'nzfreeview-recordings';
+// Recording IDs share the addon prefix, so they are told apart from channel IDs by this one
+const RECORDING_ID_PREFIX = 'nzfreeview-recording-';
+const NETWORK_CATALOG_PREFIX = 'nzfreeview-network-';
+
+const manifest = {
+    id: 'org.nzfreeview',
+    version: version,
+    name: 'NZ Freeview TV',
+    description: 'Watch free New Zealand TV channels. Live streams and EPG data from i.mjh.nz',
+    logo: LOGO_URL,
+    background: LOGO_URL,
+    contactEmail: 'your@email.com',
+    resources: ['catalog', 'meta', 'stream'],
+    types: ['tv'],
+    catalogs: [
+        {
+            type: 'tv',
+            id: MAIN_CATALOG_ID,
+            name: 'NZ Freeview TV',
+            extra: [
+                { name: 'genre', isRequired: false },
+                { name: 'search', isRequired: false },
+                { name: 'skip', isRequired: false }
+            ]
+        }
+    ],
+    idPrefixes: ['nzfreeview-'],
+    behaviorHints: {
+        configurable: true,
+        configurationUrl: '/configure/'
+    }
+};
+
+// Stremio asks for the next page (skip=N) once a catalog response is this long
+const CATALOG_PAGE_SIZE = 100;
+
+// Channels without a network are listed under "Live", matching the genres on their metas
+function getChannelGenre(channelData) {
+    return (channelData && channelData.network) || 'Live';
+}
+
+function getGenreOptions(tvData) {
+    const genres = new Set(Object.values(tvData).map(getChannelGenre));
+    return [...genres].sort((a, b) => a.localeCompare(b));
+}
+
+function slugify(value) {
+    return String(value).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+function getNetworkCatalogId(network) {
+    return NETWORK_CATALOG_PREFIX + slugify(network);
+}
+
+// The network a network catalog ID refers to, or null
+function getCatalogNetwork(catalogId, tvData) {
+    if (!catalogId.startsWith(NETWORK_CATALOG_PREFIX)) return null;
+    const networks = Object.values(tvData).map(channel => channel && channel.network).filter(Boolean);
+    return networks.find(network => getNetworkCatalogId(network) === catalogId) || null;
+}
+
+// Every catalog the current data supports: the main catalog, "Favourites", "New Channels",
+// "On Now", programme search, "Recordings" when recordings are enabled and one per network
+function getAvailableCatalogs(tvData) {
+    const genreOptions = getGenreOptions(tvData);
+    const [mainCatalog] = manifest.catalogs;
+    const networks = [...new Set(Object.values(tvData).map(channel => channel && channel.network).filter(Boolean))]
+        .sort((a, b) => a.localeCompare(b));
+
+    return [
+        {
+            ...mainCatalog,
+            extra: mainCatalog.extra.map(extra => (
+                extra.name === 'genre' && genreOptions.length ? { ...extra, options: genreOptions } : extra
+            ))
+        },
+        {
+            type: 'tv',
+            id: FAVOURITES_CATALOG_ID,
+            name: 'Favourites',
+            extra: [{ name: 'skip', isRequired: false }]
+        },
+        {
+            type: 'tv',
+            id: NEW_CHANNELS_CATALOG_ID,
+            name: 'New Channels',
+            extra: [{ name: 'skip', isRequired: false }]
+        },
+        {
+            type: 'tv',
+            id: ON_NOW_CATALOG_ID,
+            name: 'On Now',
+            extra: [{ name: 'skip', isRequired: false }]
+        },
+        {
+            // Search-only, so it appears in Stremio's search results rather than on the board
+            type: 'tv',
+            id: SEARCH_CATALOG_ID,
+            name: 'TV Programmes',
+            extra: [
+                { name: 'search', isRequired: true },
+                { name: 'skip', isRequired: false }
+            ]
+        },
+        ...(isRecordingEnabled() ? [{
+            type: 'tv',
+            id: RECORDINGS_CATALOG_ID,
+            name: 'Recordings',
+            extra: [{ name: 'skip', isRequired: false }]
+        }] : []),
+        ...networks.map(network => ({
+            type: 'tv',
+            id: getNetworkCatalogId(network),
+            name: network,
+            extra: [{ name: 'skip', isRequired: false }]
+        }))
+    ];
+}
+
+// The manifest as served. `config.catalogs` orders the catalogs (unlisted ones keep their default
+// order after them) and `config.hiddenCatalogs` leaves catalogs out. "Favourites" is only listed
+// once the user has marked a favourite channel, and "New Channels" when new channels go to a
+// catalog and there are some.
+function buildManifest(tvData, config = {}) {
+    const order = Array.isArray(config.catalogs) ? config.catalogs : [];
+    const hasFavourites = Object.values(config.channelSettings || {}).some(settings => settings && settings.favourite);
+    const channels = Object.entries(tvData).map(([id, channel]) => ({ id, name: channel.name, chno: channel.chno }));
+    const hasNewChannels = config.newChannels === 'catalog' && resolveConfigChannels(config, channels).newIds.length > 0;
+    const hidden = [
+        ...(Array.isArray(config.hiddenCatalogs) ? config.hiddenCatalogs : []),
+        ...(hasFavourites ? [] : [FAVOURITES_CATALOG_ID]),
+        ...(hasNewChannels ? [] : [NEW_CHANNELS_CATALOG_ID])
+    ];
+    const rank = (catalog) => (order.includes(catalog.id) ? order.indexOf(catalog.id) : order.length);
+
+    // Array sort is stable, so unlisted catalogs stay in their default order
+    const catalogs = getAvailableCatalogs(tvData)
+        .filter(catalog => !hidden.includes(catalog.id))
+        .sort((a, b) => rank(a) - rank(b));
+
+    return { ...manifest, catalogs };
+}
+
+module.exports = {
+    manifest,
+    ADDON_HOST,
+    CATALOG_PAGE_SIZE,
+    MAIN_CATALOG_ID,
+    FAVOURITES_CATALOG_ID,
+    NEW_CHANNELS_CATALOG_ID,
+    ON_NOW_CATALOG_ID,
+    SEARCH_CATALOG_ID,
+    RECORDINGS_CATALOG_ID,
+    RECORDING_ID_PREFIX,
+    getChannelGenre,
+    getCatalogNetwork,
+    getAvailableCatalogs,
+    buildManifest
+};
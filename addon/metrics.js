@@ -0,0 +1,144 @@
+// Prometheus metrics, served in the text exposition format on /metrics. Counters and histograms are
+// updated as things happen; gauges are read when scraped, through readers registered by server.js
+// so this module doesn't depend on the ones it reports on.
+const METRICS_CONFIG = {
+    PREFIX: 'nzfreeview_',
+    LATENCY_BUCKETS: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    ACTIVE_STREAM_WINDOW: 60 * 1000 // A stream counts as active while its playlist was fetched this recently
+};
+
+// name -> { type, help, collect() -> [[suffix, labels, value]] }
+const registry = new Map();
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabelValue(value)}"`);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+// Samples are keyed by their label set, whatever order the labels were given in
+function labelKey(labels) {
+    return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function register(name, type, help, collect) {
+    registry.set(METRICS_CONFIG.PREFIX + name, { type, help, collect });
+}
+
+function createCounter(name, help) {
+    const values = new Map();
+    register(name, 'counter', help, () => [...values.values()].map(({ labels, value }) => ['', labels, value]));
+    return {
+        inc(labels = {}, amount = 1) {
+            const key = labelKey(labels);
+            const current = values.get(key) || { labels, value: 0 };
+            current.value += amount;
+            values.set(key, current);
+        }
+    };
+}
+
+function createHistogram(name, help, buckets = METRICS_CONFIG.LATENCY_BUCKETS) {
+    const values = new Map();
+    register(name, 'histogram', help, () => [...values.values()].flatMap(({ labels, counts, sum, count }) => [
+        ...buckets.map((bucket, index) => ['_bucket', { ...labels, le: String(bucket) }, counts[index]]),
+        ['_bucket', { ...labels, le: '+Inf' }, count],
+        ['_sum', labels, sum],
+        ['_count', labels, count]
+    ]));
+    return {
+        observe(labels, value) {
+            const key = labelKey(labels);
+            const current = values.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+            buckets.forEach((bucket, index) => {
+                if (value <= bucket) current.counts[index]++;
+            });
+            current.sum += value;
+            current.count++;
+            values.set(key, current);
+        }
+    };
+}
+
+// read() returns a number, or [{ labels, value }] for a labelled gauge; null leaves it out
+function registerGauge(name, help, read, type = 'gauge') {
+    register(name, type, help, () => {
+        const value = read();
+        if (value === null || value === undefined) return [];
+        return Array.isArray(value) ? value.map(sample => ['', sample.labels, sample.value]) : [['', {}, value]];
+    });
+}
+
+const httpRequests = createCounter('http_requests_total', 'HTTP requests by handler and status code');
+const httpDuration = createHistogram('http_request_duration_seconds', 'HTTP request latency by handler');
+const upstreamFailures = createCounter('upstream_failures_total', 'Failed upstream fetches by source');
+const proxiedBytes = createCounter('proxied_bytes_total', 'Bytes sent to players by the stream proxy');
+
+// channelId -> viewer -> last playlist fetch
+const streamActivity = new Map();
+
+function recordRequest(handler, statusCode, seconds) {
+    httpRequests.inc({ handler, status: String(statusCode) });
+    httpDuration.observe({ handler }, seconds);
+}
+
+// source: channel-data, proxy, variants, probe or capture
+function recordUpstreamFailure(source) {
+    upstreamFailures.inc({ source });
+}
+
+function recordProxiedBytes(bytes) {
+    proxiedBytes.inc({}, bytes);
+}
+
+function pruneViewers(viewers) {
+    const cutoff = Date.now() - METRICS_CONFIG.ACTIVE_STREAM_WINDOW;
+    viewers.forEach((lastSeen, viewer) => {
+        if (lastSeen < cutoff) viewers.delete(viewer);
+    });
+}
+
+function recordStreamActivity(channelId, viewer) {
+    if (!channelId) return;
+    if (!streamActivity.has(channelId)) streamActivity.set(channelId, new Map());
+    const viewers = streamActivity.get(channelId);
+    pruneViewers(viewers);
+    viewers.set(viewer, Date.now());
+}
+
+registerGauge('active_streams', 'Viewers per channel that fetched a playlist in the last minute', () => {
+    const samples = [];
+    streamActivity.forEach((viewers, channelId) => {
+        pruneViewers(viewers);
+        if (!viewers.size) {
+            streamActivity.delete(channelId);
+            return;
+        }
+        samples.push({ labels: { channel: channelId }, value: viewers.size });
+    });
+    return samples;
+});
+
+function renderMetrics() {
+    const lines = [];
+    registry.forEach(({ type, help, collect }, name) => {
+        lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+        collect().forEach(([suffix, labels, value]) => {
+            lines.push(`${name}${suffix}${formatLabels(labels)} ${value}`);
+        });
+    });
+    return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+    METRICS_CONFIG,
+    registerGauge,
+    recordRequest,
+    recordUpstreamFailure,
+    recordProxiedBytes,
+    recordStreamActivity,
+    renderMetrics
+};
@@ -0,0 +1,147 @@
+// Background stream health checks.
+// Each channel's master playlist is fetched on a schedule; a channel is reported offline after
+// PROBE_CONFIG.FAILURE_THRESHOLD consecutive failures so a single slow response doesn't hide it.
+// Probes use the shared upstream client for timeouts and retries, but bypass its per-host circuit
+// breaker: an open circuit must not make a channel look offline, and probe failures must not cut off
+// live playback from a host.
+const { log } = require('./logger');
+const { recordUpstreamFailure } = require('./metrics');
+const { fetchWithRetry } = require('./httpClient');
+const { isPlaylistResponse } = require('../proxy/hls');
+const { getTVData } = require('./tvdata');
+const { OFFLINE_MODES } = require('./config');
+
+const PROBE_CONFIG = {
+    // Minutes between probe runs; 0 disables probing
+    INTERVAL_MINUTES: process.env.STREAM_PROBE_INTERVAL !== undefined ? parseInt(process.env.STREAM_PROBE_INTERVAL, 10) || 0 : 15,
+    STARTUP_DELAY: 30 * 1000,
+    TIMEOUT: 8000,
+    CONCURRENCY: 4,
+    FAILURE_THRESHOLD: 2
+};
+
+// channelId -> { status, latency, httpStatus, error, checkedAt, consecutiveFailures }
+const channelHealth = new Map();
+
+let probeState = {
+    running: false,
+    lastRun: null,
+    lastDuration: null,
+    timer: null
+};
+
+async function probeChannel(channelId, channelData) {
+    const startTime = Date.now();
+    const previous = channelHealth.get(channelId) || { consecutiveFailures: 0 };
+    let result;
+
+    try {
+        const res = await fetchWithRetry(channelData.mjh_master, {
+            headers: channelData.headers || {},
+            timeout: PROBE_CONFIG.TIMEOUT,
+            retries: 1,
+            circuit: false
+        });
+        // Sources such as M3U playlists can point at plain MPEG-TS or progressive streams, which are
+        // online as soon as they answer; their bodies never end, so they are not read
+        if (isPlaylistResponse(res.headers.get('content-type'), new URL(res.url || channelData.mjh_master).pathname)) {
+            const body = await res.text();
+            if (!body.trimStart().startsWith('#EXTM3U')) {
+                throw Object.assign(new Error('Response is not an HLS playlist'), { httpStatus: res.status });
+            }
+        } else if (res.body) {
+            res.body.cancel().catch(() => {});
+        }
+        result = { status: 'online', httpStatus: res.status, error: null, consecutiveFailures: 0 };
+    } catch (error) {
+        recordUpstreamFailure('probe');
+        const consecutiveFailures = previous.consecutiveFailures + 1;
+        result = {
+            status: consecutiveFailures >= PROBE_CONFIG.FAILURE_THRESHOLD ? 'offline' : (previous.status || 'unknown'),
+            httpStatus: error.httpStatus || error.status || null,
+            error: error.reason === 'timeout' || error.name === 'TimeoutError' ? 'Timed out' : error.message,
+            consecutiveFailures
+        };
+    }
+
+    result.latency = Date.now() - startTime;
+    result.checkedAt = new Date().toISOString();
+    channelHealth.set(channelId, result);
+    return result;
+}
+
+async function runProbes() {
+    if (probeState.running) return;
+    probeState.running = true;
+    const startTime = Date.now();
+
+    try {
+        const tvData = await getTVData();
+        const queue = Object.entries(tvData).filter(([, channel]) => channel && channel.mjh_master);
+
+        // Forget channels that are no longer in the data
+        [...channelHealth.keys()].filter(id => !tvData[id]).forEach(id => channelHealth.delete(id));
+
+        const worker = async () => {
+            while (queue.length) {
+                const [channelId, channelData] = queue.shift();
+                await probeChannel(channelId, channelData);
+            }
+        };
+        await Promise.all(Array.from({ length: PROBE_CONFIG.CONCURRENCY }, worker));
+
+        probeState.lastRun = new Date().toISOString();
+        probeState.lastDuration = Date.now() - startTime;
+        const { online, offline } = getHealthSummary();
+        log('INFO', 'PROBER', `Probed ${channelHealth.size} channels`, { online, offline, duration: probeState.lastDuration });
+    } catch (error) {
+        log('ERROR', 'PROBER', 'Probe run failed', { error: error.message });
+    } finally {
+        probeState.running = false;
+    }
+}
+
+function startProber() {
+    if (!PROBE_CONFIG.INTERVAL_MINUTES || probeState.timer) return;
+    const interval = PROBE_CONFIG.INTERVAL_MINUTES * 60 * 1000;
+    setTimeout(runProbes, PROBE_CONFIG.STARTUP_DELAY).unref();
+    probeState.timer = setInterval(runProbes, interval);
+    probeState.timer.unref();
+    log('INFO', 'PROBER', `Probing streams every ${PROBE_CONFIG.INTERVAL_MINUTES} minutes`);
+}
+
+function getChannelHealth(channelId) {
+    return channelHealth.get(channelId) || { status: 'unknown' };
+}
+
+function isChannelOffline(channelId) {
+    return getChannelHealth(channelId).status === 'offline';
+}
+
+function getHealthSummary() {
+    const summary = { online: 0, offline: 0, unknown: 0 };
+    channelHealth.forEach(({ status }) => { summary[status]++; });
+    return summary;
+}
+
+// Full report for the /status/channels endpoint
+function getHealthReport() {
+    return {
+        enabled: Boolean(PROBE_CONFIG.INTERVAL_MINUTES),
+        intervalMinutes: PROBE_CONFIG.INTERVAL_MINUTES,
+        lastRun: probeState.lastRun,
+        lastDuration: probeState.lastDuration,
+        running: probeState.running,
+        summary: getHealthSummary(),
+        channels: Object.fromEntries(channelHealth)
+    };
+}
+
+module.exports = {
+    OFFLINE_MODES,
+    startProber,
+    runProbes,
+    getChannelHealth,
+    isChannelOffline,
+    getHealthReport
+};
@@ -0,0 +1,88 @@
+// Programme model shared by the handlers, search index and exports.
+// Channel data stores programmes as `[start, title, details?]` with `start` in epoch seconds. The
+// optional details object comes from richer guides (see providers/xmltv.js):
+//   { stop, subTitle, description, season, episode, rating, image }
+
+const PROGRAMME_CONFIG = {
+    DEFAULT_DURATION: 3 * 60 * 60 // Seconds assumed for a last programme with no stop time
+};
+
+// Parsed programmes per raw programs array; channel data is replaced wholesale on refresh
+const programmeCache = new WeakMap();
+
+function toProgramme([start, title, details], next) {
+    const extra = details && typeof details === 'object' ? details : {};
+    // A real stop time wins; otherwise the programme runs until the next one starts
+    const stop = Number.isFinite(extra.stop) && extra.stop > start
+        ? extra.stop
+        : (next ? next[0] : start + PROGRAMME_CONFIG.DEFAULT_DURATION);
+
+    return {
+        start: start * 1000,
+        end: stop * 1000,
+        title: String(title),
+        subTitle: extra.subTitle || null,
+        description: extra.description || null,
+        season: Number.isInteger(extra.season) ? extra.season : null,
+        episode: Number.isInteger(extra.episode) ? extra.episode : null,
+        rating: extra.rating || null,
+        image: extra.image || null
+    };
+}
+
+// A channel's programmes sorted by start time, with times in milliseconds
+function getProgrammes(channel) {
+    if (!channel || !Array.isArray(channel.programs)) return [];
+    if (programmeCache.has(channel.programs)) return programmeCache.get(channel.programs);
+
+    const programs = channel.programs
+        .filter(program => Array.isArray(program) && program.length >= 2 && Number.isFinite(program[0]))
+        .sort((a, b) => a[0] - b[0]);
+    const programmes = programs.map((program, i) => toProgramme(program, programs[i + 1]));
+
+    programmeCache.set(channel.programs, programmes);
+    return programmes;
+}
+
+// Programmes overlapping the window from `start` to `end` (milliseconds)
+function getProgrammesBetween(channel, start, end) {
+    return getProgrammes(channel).filter(programme => programme.end > start && programme.start < end);
+}
+
+// The programme airing at `now`. When guide entries overlap, the one that started last wins, so the
+// answer is always a single programme.
+function getCurrentProgramme(channel, now = Date.now()) {
+    let current = null;
+    for (const programme of getProgrammes(channel)) {
+        if (programme.start > now) break;
+        if (now < programme.end) current = programme;
+    }
+    return current;
+}
+
+// e.g. "S2 E5", "E5" or null
+function formatEpisode(programme) {
+    const parts = [];
+    if (programme.season !== null) parts.push(`S${programme.season}`);
+    if (programme.episode !== null) parts.push(`E${programme.episode}`);
+    return parts.length ? parts.join(' ') : null;
+}
+
+// e.g. "The Reunion · S2 E5 · PG", or null for a programme with no extra details
+function formatProgrammeDetails(programme) {
+    return [programme.subTitle, formatEpisode(programme), programme.rating].filter(Boolean).join(' · ') || null;
+}
+
+// e.g. "Shortland Street · The Reunion · S2 E5 · PG"
+function formatProgrammeTitle(programme) {
+    return [programme.title, formatProgrammeDetails(programme)].filter(Boolean).join(' · ');
+}
+
+module.exports = {
+    PROGRAMME_CONFIG,
+    getProgrammes,
+    getProgrammesBetween,
+    getCurrentProgramme,
+    formatProgrammeDetails,
+    formatProgrammeTitle
+};
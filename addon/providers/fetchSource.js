@@ -0,0 +1,23 @@
+const { fetchWithRetry } = require('../httpClient');
+
+// Conditional GET for source data: sends the validators from the last good response and
+// reports a 304 so providers can keep their previous payload. Error statuses are rejected, so an
+// error page is never parsed as data.
+async function fetchSource(url, validators = {}) {
+    const headers = {};
+    if (validators.etag) headers['If-None-Match'] = validators.etag;
+    if (validators.lastModified) headers['If-Modified-Since'] = validators.lastModified;
+
+    const res = await fetchWithRetry(url, { headers, acceptStatus: status => status === 304 });
+    if (res.status === 304) {
+        return { res, notModified: true };
+    }
+    return {
+        res,
+        notModified: false,
+        etag: res.headers.get('etag') || undefined,
+        lastModified: res.headers.get('last-modified') || undefined
+    };
+}
+
+module.exports = { fetchSource };
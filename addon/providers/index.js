@@ -0,0 +1,192 @@
+// Channel source providers.
+//
+// Sources are configured with the CHANNEL_SOURCES env var as a JSON array, e.g.
+//   [{ "type": "mjh" },
+//    { "type": "m3u", "url": "https://example.com/community.m3u", "idPrefix": "community-" },
+//    { "type": "xmltv", "url": "https://example.com/guide.xml.gz" }]
+//
+// Merge rules:
+//  - "channels" providers (mjh, m3u) are merged in the order they are listed. When two providers
+//    supply the same channel ID, the first one listed wins and later duplicates are ignored.
+//  - "epg" providers (xmltv) never add channels. Their programmes are attached to existing channels
+//    matched by ID, by the source's channelMap, or by display name. A channel's own programmes are
+//    kept unless they are empty or the source sets "override": true.
+//  - If a provider fails, its last successful payload is used so one bad source cannot empty the catalog.
+//    Last good payloads are persisted to disk with their ETag/Last-Modified for conditional refreshes.
+const { log } = require('../logger');
+const { readCacheEntry, writeCacheEntry } = require('../diskCache');
+const { createMjhProvider } = require('./mjh');
+const { createM3UProvider } = require('./m3u');
+const { createXMLTVProvider } = require('./xmltv');
+
+const PROVIDER_FACTORIES = {
+    mjh: createMjhProvider,
+    m3u: createM3UProvider,
+    xmltv: createXMLTVProvider
+};
+
+const DEFAULT_SOURCES = [{ type: 'mjh' }];
+
+function getSourcesConfig() {
+    if (!process.env.CHANNEL_SOURCES) return DEFAULT_SOURCES;
+
+    try {
+        const sources = JSON.parse(process.env.CHANNEL_SOURCES);
+        if (!Array.isArray(sources) || sources.length === 0) {
+            throw new Error('CHANNEL_SOURCES must be a non-empty JSON array');
+        }
+        return sources;
+    } catch (error) {
+        log('ERROR', 'PROVIDERS', 'Invalid CHANNEL_SOURCES, using default source', { error: error.message });
+        return DEFAULT_SOURCES;
+    }
+}
+
+function createProviders(sources) {
+    const providers = [];
+    sources.forEach((source, index) => {
+        const factory = PROVIDER_FACTORIES[source.type];
+        if (!factory) {
+            log('ERROR', 'PROVIDERS', `Unknown channel source type: ${source.type}`, { index });
+            return;
+        }
+        try {
+            providers.push(factory(source));
+        } catch (error) {
+            log('ERROR', 'PROVIDERS', 'Invalid channel source', { index, error: error.message });
+        }
+    });
+    return providers;
+}
+
+const providers = createProviders(getSourcesConfig());
+
+// Last successful payload per provider, keyed by provider name: { data, etag, lastModified, fetchedAt }
+const lastGoodResults = new Map();
+
+function normalizeName(name) {
+    return String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function attachEPG(channels, provider, epg) {
+    const idsByName = new Map();
+    Object.entries(channels).forEach(([id, channel]) => idsByName.set(normalizeName(channel.name), id));
+
+    let matched = 0;
+    Object.entries(epg.programmes).forEach(([xmltvId, programmes]) => {
+        const names = (epg.channels[xmltvId] || {}).names || [];
+        const channelId = provider.channelMap[xmltvId]
+            || (channels[xmltvId] && xmltvId)
+            || names.map(name => idsByName.get(normalizeName(name))).find(Boolean);
+        if (!channelId || !channels[channelId]) return;
+
+        const channel = channels[channelId];
+        const hasPrograms = Array.isArray(channel.programs) && channel.programs.length > 0;
+        if (hasPrograms && !provider.override) return;
+
+        channel.programs = programmes;
+        matched++;
+    });
+    return matched;
+}
+
+function mergeChannelData(results) {
+    const channels = {};
+
+    results.filter(({ provider }) => provider.type === 'channels').forEach(({ provider, data }) => {
+        Object.entries(data).forEach(([id, channel]) => {
+            if (channels[id]) {
+                log('DEBUG', 'PROVIDERS', `Duplicate channel ${id} from ${provider.name} ignored`);
+                return;
+            }
+            channels[id] = { ...channel, source: provider.name };
+        });
+    });
+
+    results.filter(({ provider }) => provider.type === 'epg').forEach(({ provider, data }) => {
+        const matched = attachEPG(channels, provider, data);
+        log('DEBUG', 'PROVIDERS', `Attached EPG from ${provider.name}`, { matched });
+    });
+
+    return channels;
+}
+
+function storeResult(provider, entry) {
+    lastGoodResults.set(provider.name, entry);
+    writeCacheEntry(provider.name, entry);
+}
+
+function getLastGoodResults() {
+    return providers
+        .filter(provider => lastGoodResults.has(provider.name))
+        .map(provider => ({ provider, data: lastGoodResults.get(provider.name).data }));
+}
+
+// Data is only as fresh as its oldest source, which may be a previous payload after a failed fetch
+function getOldestFetch(results) {
+    return Math.min(...results.map(({ provider }) => lastGoodResults.get(provider.name).fetchedAt || 0));
+}
+
+// Merge the payloads persisted by a previous run. Returns null if no channel source was cached.
+async function loadCachedChannelData() {
+    await Promise.all(providers.map(async provider => {
+        if (lastGoodResults.has(provider.name)) return;
+        const entry = await readCacheEntry(provider.name);
+        if (entry && entry.data) {
+            lastGoodResults.set(provider.name, entry);
+        }
+    }));
+
+    const results = getLastGoodResults();
+    if (!results.some(({ provider }) => provider.type === 'channels')) {
+        return null;
+    }
+    return { data: mergeChannelData(results), fetchedAt: getOldestFetch(results) };
+}
+
+// Load every configured source and merge them into the tv.json channel model: { data, fetchedAt, errors }
+async function loadChannelData() {
+    const settled = await Promise.allSettled(providers.map(provider => {
+        const previous = lastGoodResults.get(provider.name);
+        return provider.load(previous ? { etag: previous.etag, lastModified: previous.lastModified } : {});
+    }));
+
+    const errors = [];
+    settled.forEach((result, index) => {
+        const provider = providers[index];
+        const previous = lastGoodResults.get(provider.name);
+        const value = result.status === 'fulfilled' ? result.value : null;
+
+        if (value && value.notModified && previous) {
+            log('DEBUG', 'PROVIDERS', `Source ${provider.name} not modified`);
+            storeResult(provider, { ...previous, fetchedAt: Date.now() });
+        } else if (value && value.data) {
+            storeResult(provider, {
+                data: value.data,
+                etag: value.etag,
+                lastModified: value.lastModified,
+                fetchedAt: Date.now()
+            });
+        } else {
+            errors.push(`${provider.name}: ${result.reason ? result.reason.message : 'empty response'}`);
+            log('WARN', 'PROVIDERS', `Source ${provider.name} failed`, {
+                error: result.reason ? result.reason.message : 'empty response',
+                usingPrevious: Boolean(previous)
+            });
+        }
+    });
+
+    const results = getLastGoodResults();
+    if (!results.some(({ provider }) => provider.type === 'channels')) {
+        throw new Error('No channel source returned data');
+    }
+    return { data: mergeChannelData(results), fetchedAt: getOldestFetch(results), errors };
+}
+
+module.exports = {
+    loadChannelData,
+    loadCachedChannelData,
+    mergeChannelData,
+    createProviders,
+    getProviders: () => providers
+};
@@ -0,0 +1,98 @@
+// Channel provider for extended M3U playlists (#EXTINF with tvg-* attributes).
+// Playlist entries are mapped onto the same channel model as tv.json.
+const { fetchSource } = require('./fetchSource');
+
+// VLC options that carry request headers for the stream
+const VLC_HEADER_OPTIONS = {
+    'http-user-agent': 'User-Agent',
+    'http-referrer': 'Referer',
+    'http-referer': 'Referer',
+    'http-origin': 'Origin'
+};
+
+function slugify(value) {
+    return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// Split "#EXTINF:-1 tvg-id="a" group-title="b, c",Name" into its attributes and display name
+function parseExtInf(line) {
+    const body = line.slice('#EXTINF:'.length);
+    let inQuotes = false;
+    let commaIndex = -1;
+    for (let i = 0; i < body.length; i++) {
+        if (body[i] === '"') inQuotes = !inQuotes;
+        if (body[i] === ',' && !inQuotes) {
+            commaIndex = i;
+            break;
+        }
+    }
+
+    const attributePart = commaIndex === -1 ? body : body.slice(0, commaIndex);
+    const name = commaIndex === -1 ? '' : body.slice(commaIndex + 1).trim();
+    const attributes = {};
+    const attributeRegex = /([\w-]+)="([^"]*)"/g;
+    let match;
+    while ((match = attributeRegex.exec(attributePart)) !== null) {
+        attributes[match[1].toLowerCase()] = match[2];
+    }
+    return { attributes, name };
+}
+
+function parseM3U(text, source = {}) {
+    const channels = {};
+    const idPrefix = source.idPrefix || '';
+    let entry = null;
+
+    for (const rawLine of text.split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (!line) continue;
+
+        if (line.startsWith('#EXTINF:')) {
+            entry = { ...parseExtInf(line), headers: {} };
+        } else if (line.startsWith('#EXTVLCOPT:') && entry) {
+            const [option, ...valueParts] = line.slice('#EXTVLCOPT:'.length).split('=');
+            const header = VLC_HEADER_OPTIONS[option.trim().toLowerCase()];
+            if (header) entry.headers[header] = valueParts.join('=').trim();
+        } else if (line.startsWith('#EXTGRP:') && entry) {
+            entry.group = line.slice('#EXTGRP:'.length).trim();
+        } else if (!line.startsWith('#') && entry) {
+            const { attributes, name, headers, group } = entry;
+            const displayName = attributes['tvg-name'] || name;
+            const localId = attributes['tvg-id'] || slugify(displayName);
+            entry = null;
+            if (!localId) continue;
+
+            const chno = parseInt(attributes['tvg-chno'], 10);
+            channels[idPrefix + localId] = {
+                name: displayName || localId,
+                logo: attributes['tvg-logo'] || undefined,
+                chno: Number.isNaN(chno) ? undefined : chno,
+                network: attributes['group-title'] || group || source.network,
+                mjh_master: line,
+                ...(Object.keys(headers).length && { headers }),
+                programs: []
+            };
+        }
+    }
+
+    return channels;
+}
+
+function createM3UProvider(source) {
+    if (!source.url) {
+        throw new Error('M3U source requires a url');
+    }
+
+    return {
+        name: source.name || `m3u:${source.url}`,
+        type: 'channels',
+        url: source.url,
+        async load(validators) {
+            const { res, notModified, etag, lastModified } = await fetchSource(source.url, validators);
+            if (notModified) return { notModified };
+            return { data: parseM3U(await res.text(), source), etag, lastModified };
+        }
+    };
+}
+
+module.exports = { createM3UProvider, parseM3U };
@@ -0,0 +1,22 @@
+// Built-in channel provider for Matt Huisman's i.mjh.nz data.
+// tv.json already uses the internal channel model, so the payload is returned unchanged.
+const { fetchSource } = require('./fetchSource');
+
+const DEFAULT_URL = 'https://i.mjh.nz/nz/tv.json';
+
+function createMjhProvider(source = {}) {
+    const url = source.url || DEFAULT_URL;
+
+    return {
+        name: source.name || 'mjh',
+        type: 'channels',
+        url,
+        async load(validators) {
+            const { res, notModified, etag, lastModified } = await fetchSource(url, validators);
+            if (notModified) return { notModified };
+            return { data: await res.json(), etag, lastModified };
+        }
+    };
+}
+
+module.exports = { createMjhProvider, DEFAULT_URL };
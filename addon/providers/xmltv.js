@@ -0,0 +1,155 @@
+// EPG provider for XMLTV guides (plain or gzipped).
+// XMLTV carries no streams, so its programmes are attached to channels supplied by other providers.
+const zlib = require('zlib');
+const { fetchSource } = require('./fetchSource');
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeEntities(value) {
+    return value
+        .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+        .replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+            if (code[0] === '#') {
+                const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+                return Number.isNaN(point) ? entity : String.fromCodePoint(point);
+            }
+            return ENTITIES[code.toLowerCase()] || entity;
+        });
+}
+
+function parseAttributes(tag) {
+    const attributes = {};
+    const attributeRegex = /([\w-]+)\s*=\s*"([^"]*)"/g;
+    let match;
+    while ((match = attributeRegex.exec(tag)) !== null) {
+        attributes[match[1]] = decodeEntities(match[2]);
+    }
+    return attributes;
+}
+
+// Text content of each matching child element, e.g. every <display-name>
+function getChildTexts(xml, tagName) {
+    const regex = new RegExp(`<${tagName}(?:\\s[^>]*)?>([\\s\\S]*?)</${tagName}>`, 'g');
+    const values = [];
+    let match;
+    while ((match = regex.exec(xml)) !== null) {
+        values.push(decodeEntities(match[1]).trim());
+    }
+    return values;
+}
+
+// XMLTV timestamps look like "20240501193000 +1200"; a missing offset means UTC
+function parseXMLTVTime(value) {
+    const match = /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})?\s*([+-]\d{4})?/.exec(value || '');
+    if (!match) return null;
+
+    const [, year, month, day, hour, minute, second = '00', offset = '+0000'] = match;
+    const utc = Date.UTC(+year, +month - 1, +day, +hour, +minute, +second);
+    const sign = offset[0] === '-' ? -1 : 1;
+    const offsetMinutes = sign * (parseInt(offset.slice(1, 3), 10) * 60 + parseInt(offset.slice(3, 5), 10));
+    return Math.floor((utc - offsetMinutes * 60 * 1000) / 1000);
+}
+
+// Season and episode from <episode-num>. xmltv_ns is zero-based "season.episode.part", e.g. "1.4.0/1"
+// is S2 E5; onscreen numbering is free text like "S02E05".
+function parseEpisodeNum(xml) {
+    const result = {};
+    const regex = /<episode-num(?:\s([^>]*))?>([\s\S]*?)<\/episode-num>/g;
+    let match;
+    while ((match = regex.exec(xml)) !== null) {
+        const { system } = parseAttributes(match[1] || '');
+        const value = decodeEntities(match[2]).trim();
+
+        if (system === 'xmltv_ns') {
+            const [season, episode] = value.split('.').map(part => parseInt(part.split('/')[0], 10));
+            if (Number.isInteger(season)) result.season = season + 1;
+            if (Number.isInteger(episode)) result.episode = episode + 1;
+            return result;
+        }
+
+        const onscreen = /S(\d+)\s*E(\d+)/i.exec(value);
+        if (onscreen) {
+            result.season = parseInt(onscreen[1], 10);
+            result.episode = parseInt(onscreen[2], 10);
+        }
+    }
+    return result;
+}
+
+// Optional programme details, keeping only what the guide actually provides
+function parseProgrammeDetails(attributes, xml) {
+    const details = {};
+    const stop = parseXMLTVTime(attributes.stop);
+    const [subTitle] = getChildTexts(xml, 'sub-title');
+    const [description] = getChildTexts(xml, 'desc');
+    const [rating] = getChildTexts(xml, 'rating').map(block => getChildTexts(block, 'value')[0]).filter(Boolean);
+    const icon = /<icon\s([^>]*)\/?>/.exec(xml);
+
+    if (stop !== null) details.stop = stop;
+    if (subTitle) details.subTitle = subTitle;
+    if (description) details.description = description;
+    Object.assign(details, parseEpisodeNum(xml));
+    if (rating) details.rating = rating;
+    if (icon && parseAttributes(icon[1]).src) details.image = parseAttributes(icon[1]).src;
+    return details;
+}
+
+// Returns { channels: { xmltvId: { names, icon } }, programmes: { xmltvId: [[start, title, details], ...] } }
+function parseXMLTV(xml) {
+    const channels = {};
+    const programmes = {};
+
+    const channelRegex = /<channel\s([^>]*)>([\s\S]*?)<\/channel>/g;
+    let match;
+    while ((match = channelRegex.exec(xml)) !== null) {
+        const { id } = parseAttributes(match[1]);
+        if (!id) continue;
+        const icon = /<icon\s([^>]*)\/?>/.exec(match[2]);
+        channels[id] = {
+            names: getChildTexts(match[2], 'display-name'),
+            icon: icon ? parseAttributes(icon[1]).src : undefined
+        };
+    }
+
+    const programmeRegex = /<programme\s([^>]*)>([\s\S]*?)<\/programme>/g;
+    while ((match = programmeRegex.exec(xml)) !== null) {
+        const attributes = parseAttributes(match[1]);
+        const start = parseXMLTVTime(attributes.start);
+        const [title] = getChildTexts(match[2], 'title');
+        if (!attributes.channel || start === null || !title) continue;
+
+        const programme = [start, title];
+        const details = parseProgrammeDetails(attributes, match[2]);
+        if (Object.keys(details).length) programme.push(details);
+        (programmes[attributes.channel] = programmes[attributes.channel] || []).push(programme);
+    }
+
+    Object.values(programmes).forEach(list => list.sort((a, b) => a[0] - b[0]));
+    return { channels, programmes };
+}
+
+function createXMLTVProvider(source) {
+    if (!source.url) {
+        throw new Error('XMLTV source requires a url');
+    }
+
+    return {
+        name: source.name || `xmltv:${source.url}`,
+        type: 'epg',
+        url: source.url,
+        override: source.override === true,
+        channelMap: source.channelMap || {},
+        async load(validators) {
+            const { res, notModified, etag, lastModified } = await fetchSource(source.url, validators);
+            if (notModified) return { notModified };
+            let body = Buffer.from(await res.arrayBuffer());
+            // Gzipped guides are common (guide.xml.gz); detect them by magic number
+            if (body[0] === 0x1f && body[1] === 0x8b) {
+                body = zlib.gunzipSync(body);
+            }
+            return { data: parseXMLTV(body.toString('utf8')), etag, lastModified };
+        }
+    };
+}
+
+module.exports = { createXMLTVProvider, parseXMLTV, parseXMLTVTime };
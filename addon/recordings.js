@@ -0,0 +1,348 @@
+// Scheduled recordings. A programme picked from the EPG is captured (see proxy/capture.js) from a
+// little before it starts until a little after it ends into RECORDINGS_DIR, one directory per
+// recording. Jobs are kept in jobs.json so schedules survive restarts; a recording interrupted by a
+// restart carries on if its programme has not finished. Recordings are disabled until
+// RECORDINGS_API_KEY is set, as the API writes to the server's disk.
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { log, withoutRequestId } = require('./logger');
+const { CACHE_DIR } = require('./diskCache');
+const { getTVData } = require('./tvdata');
+const { getProgrammes } = require('./programmes');
+const { buildMediaPlaylist } = require('../proxy/hls');
+const { startCapture } = require('../proxy/capture');
+
+function getMinutes(value, fallback) {
+    const minutes = parseInt(value, 10);
+    return (Number.isNaN(minutes) ? fallback : minutes) * 60 * 1000;
+}
+
+const RECORDING_CONFIG = {
+    API_KEY: process.env.RECORDINGS_API_KEY || null,
+    DIR: process.env.RECORDINGS_DIR || path.join(CACHE_DIR, 'recordings'),
+    PADDING_BEFORE: getMinutes(process.env.RECORDING_PADDING_BEFORE, 2),
+    PADDING_AFTER: getMinutes(process.env.RECORDING_PADDING_AFTER, 5),
+    MAX_PADDING: 60 * 60 * 1000,
+    CHECK_INTERVAL: 10 * 1000
+};
+
+const ID_PATTERN = /^[a-f0-9]{12}$/;
+
+class RecordingError extends Error {
+    constructor(message, reason) {
+        super(message);
+        this.name = 'RecordingError';
+        this.reason = reason;
+    }
+}
+
+// id -> job, as saved in jobs.json. Jobs go from scheduled to recording to completed or failed.
+const jobs = new Map();
+// id -> { capture, index } for recordings being captured or starting
+// index: { nextId, segments: [{ id, start, duration, size, contentType, initId, discontinuity }], inits: [{ id, url, contentType }] }
+const active = new Map();
+let saving = Promise.resolve();
+
+function isRecordingEnabled() {
+    return Boolean(RECORDING_CONFIG.API_KEY);
+}
+
+function isValidApiKey(key) {
+    if (!isRecordingEnabled() || typeof key !== 'string') return false;
+    const hash = (value) => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(hash(key), hash(RECORDING_CONFIG.API_KEY));
+}
+
+function getRecordingDir(id) {
+    return path.join(RECORDING_CONFIG.DIR, id);
+}
+
+// Written to a temporary file first so a crash never leaves half-written JSON behind
+async function writeJson(filePath, data) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(data));
+    await fs.rename(tempPath, filePath);
+}
+
+async function readJson(filePath) {
+    try {
+        return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+// Saves are chained so an older list never overwrites a newer one
+function saveJobs() {
+    const snapshot = [...jobs.values()];
+    saving = saving
+        .then(() => writeJson(path.join(RECORDING_CONFIG.DIR, 'jobs.json'), { jobs: snapshot }))
+        .catch(error => log('ERROR', 'RECORDINGS', 'Could not save recording jobs', { error: error.message }));
+    return saving;
+}
+
+async function loadIndex(id) {
+    const index = await readJson(path.join(getRecordingDir(id), 'index.json'));
+    return index || { nextId: 1, segments: [], inits: [] };
+}
+
+function fail(job, error) {
+    job.status = 'failed';
+    job.error = error;
+    log('WARN', 'RECORDINGS', `Recording of ${job.title} failed`, { id: job.id, error });
+    saveJobs();
+}
+
+async function storeSegment(job, recording, segment) {
+    // Only what falls inside the padded programme is kept
+    if (job.status !== 'recording' || segment.start + segment.duration * 1000 <= job.start || segment.start >= job.end) return;
+
+    const { index } = recording;
+    const dir = getRecordingDir(job.id);
+    let initId = null;
+    if (segment.init) {
+        let init = index.inits.find(existing => existing.url === segment.init.url);
+        if (!init) {
+            init = { id: index.nextId++, url: segment.init.url, contentType: segment.init.contentType };
+            await fs.writeFile(path.join(dir, `init-${init.id}.seg`), segment.init.data);
+            index.inits.push(init);
+            job.bytes += segment.init.data.length;
+        }
+        initId = init.id;
+    }
+
+    const id = index.nextId++;
+    await fs.writeFile(path.join(dir, `${id}.seg`), segment.data);
+    index.segments.push({
+        id,
+        start: segment.start,
+        duration: segment.duration,
+        size: segment.data.length,
+        contentType: segment.contentType,
+        initId,
+        // A recording resumed after a restart has a gap where the server was down
+        discontinuity: segment.discontinuity
+    });
+    job.bytes += segment.data.length;
+    job.duration += segment.duration;
+    job.segments = index.segments.length;
+    await writeJson(path.join(dir, 'index.json'), index);
+    saveJobs();
+}
+
+async function beginRecording(job) {
+    // Claimed before anything is awaited so the next check doesn't start it twice
+    const recording = { capture: null, index: null };
+    active.set(job.id, recording);
+
+    const tvData = await getTVData();
+    const channelData = Object.hasOwn(tvData, job.channelId) ? tvData[job.channelId] : null;
+    if (!channelData || !channelData.mjh_master) {
+        active.delete(job.id);
+        fail(job, 'The channel is no longer available');
+        return;
+    }
+    recording.index = await loadIndex(job.id);
+    await fs.mkdir(getRecordingDir(job.id), { recursive: true });
+    if (job.status === 'scheduled') {
+        job.status = 'recording';
+        log('INFO', 'RECORDINGS', `Recording ${job.title}`, { id: job.id, channelId: job.channelId });
+    }
+    saveJobs();
+
+    const last = recording.index.segments[recording.index.segments.length - 1];
+    recording.capture = startCapture({
+        channelId: job.channelId,
+        channelData,
+        // A capture restarted mid-recording carries on after what is already stored
+        resumeAfter: last ? last.start + last.duration * 1000 : null,
+        onSegment: (segment) => storeSegment(job, recording, segment),
+        onStop: (error) => {
+            // The next check starts the capture again while the programme is still on
+            if (active.get(job.id) === recording) active.delete(job.id);
+            if (error) job.error = error.message;
+        }
+    });
+}
+
+function finishRecording(job) {
+    const recording = active.get(job.id);
+    active.delete(job.id);
+    if (recording && recording.capture) recording.capture.stop();
+
+    if (!job.segments) {
+        fail(job, job.error || 'Nothing was captured');
+        return;
+    }
+    job.status = 'completed';
+    log('INFO', 'RECORDINGS', `Finished recording ${job.title}`, { id: job.id, segments: job.segments, bytes: job.bytes });
+    saveJobs();
+}
+
+// Start jobs whose time has come, restart captures that stopped early and finish the ones that are over
+function checkJobs() {
+    const now = Date.now();
+    jobs.forEach(job => {
+        if (job.status === 'scheduled' && now >= job.end) {
+            fail(job, 'The server was not running when the programme aired');
+        } else if (job.status === 'recording' && now >= job.end) {
+            finishRecording(job);
+        } else if ((job.status === 'scheduled' || job.status === 'recording') && now >= job.start && !active.has(job.id)) {
+            beginRecording(job).catch(error => {
+                active.delete(job.id);
+                log('ERROR', 'RECORDINGS', `Could not start recording ${job.title}`, { id: job.id, error: error.message });
+            });
+        }
+    });
+}
+
+async function initRecordings() {
+    if (!isRecordingEnabled()) return;
+    await fs.mkdir(RECORDING_CONFIG.DIR, { recursive: true });
+    const saved = await readJson(path.join(RECORDING_CONFIG.DIR, 'jobs.json'));
+    ((saved && saved.jobs) || []).forEach(job => jobs.set(job.id, job));
+
+    setInterval(checkJobs, RECORDING_CONFIG.CHECK_INTERVAL).unref();
+    checkJobs();
+    log('INFO', 'RECORDINGS', 'Recordings enabled', { jobs: jobs.size, dir: RECORDING_CONFIG.DIR });
+}
+
+function getPadding(value, fallback) {
+    if (value === undefined || value === null) return fallback;
+    const minutes = Number(value);
+    if (!Number.isInteger(minutes) || minutes < 0 || minutes * 60 * 1000 > RECORDING_CONFIG.MAX_PADDING) {
+        throw new RecordingError(`Padding must be a whole number of minutes from 0 to ${RECORDING_CONFIG.MAX_PADDING / 60000}`, 'invalid');
+    }
+    return minutes * 60 * 1000;
+}
+
+// Schedule a programme by its channel and start time (seconds, as in the meta schedule IDs).
+// Padding is in minutes and defaults to RECORDING_PADDING_BEFORE / RECORDING_PADDING_AFTER.
+async function scheduleRecording({ channelId, start, paddingBefore, paddingAfter } = {}) {
+    const startMs = parseInt(start, 10) * 1000;
+    if (typeof channelId !== 'string' || !Number.isFinite(startMs)) {
+        throw new RecordingError('channelId and start are required', 'invalid');
+    }
+    const before = getPadding(paddingBefore, RECORDING_CONFIG.PADDING_BEFORE);
+    const after = getPadding(paddingAfter, RECORDING_CONFIG.PADDING_AFTER);
+
+    const tvData = await getTVData();
+    const channelData = Object.hasOwn(tvData, channelId) ? tvData[channelId] : null;
+    if (!channelData) {
+        throw new RecordingError(`No channel with ID ${channelId}`, 'not-found');
+    }
+    const programme = getProgrammes(channelData).find(program => program.start === startMs);
+    if (!programme) {
+        throw new RecordingError(`${channelData.name} has no programme starting then`, 'not-found');
+    }
+    if (programme.end + after <= Date.now()) {
+        throw new RecordingError(`${programme.title} has already finished`, 'invalid');
+    }
+    const existing = [...jobs.values()].find(job => (
+        job.channelId === channelId && job.programmeStart === startMs && job.status !== 'failed'
+    ));
+    if (existing) {
+        throw new RecordingError(`${programme.title} is already scheduled`, 'conflict');
+    }
+
+    const job = {
+        id: crypto.randomBytes(6).toString('hex'),
+        channelId,
+        channelName: channelData.name,
+        title: programme.title,
+        subTitle: programme.subTitle || null,
+        description: programme.description || null,
+        image: programme.image || null,
+        programmeStart: programme.start,
+        programmeEnd: programme.end,
+        start: programme.start - before,
+        end: programme.end + after,
+        status: 'scheduled',
+        createdAt: new Date().toISOString(),
+        error: null,
+        segments: 0,
+        duration: 0,
+        bytes: 0
+    };
+    jobs.set(job.id, job);
+    log('INFO', 'RECORDINGS', `Scheduled ${job.title}`, { id: job.id, channelId, start: new Date(job.start).toISOString() });
+    await saveJobs();
+    // A programme that is already on starts recording straight away, outside this request's context
+    withoutRequestId(checkJobs);
+    return job;
+}
+
+// Cancel a scheduled or running recording, or delete a finished one. Its files go with it.
+async function deleteRecording(id) {
+    const job = jobs.get(id);
+    if (!job) {
+        throw new RecordingError(`No recording with ID ${id}`, 'not-found');
+    }
+    const recording = active.get(id);
+    active.delete(id);
+    if (recording && recording.capture) recording.capture.stop();
+    jobs.delete(id);
+    await saveJobs();
+    await fs.rm(getRecordingDir(id), { recursive: true, force: true });
+    log('INFO', 'RECORDINGS', `Deleted recording ${job.title}`, { id, status: job.status });
+    return job;
+}
+
+// Jobs in the order they air
+function listRecordings() {
+    return [...jobs.values()].sort((a, b) => a.start - b.start);
+}
+
+function getRecording(id) {
+    return (ID_PATTERN.test(id) && jobs.get(id)) || null;
+}
+
+// Recordings with something to play, newest first
+function getPlayableRecordings() {
+    return listRecordings()
+        .filter(job => (job.status === 'completed' || job.status === 'recording') && job.segments > 0)
+        .reverse();
+}
+
+// The recording's playlist, which grows while it is still being recorded. Returns null when nothing
+// has been captured.
+async function buildRecordingPlaylist(id, segmentUrl) {
+    const job = getRecording(id);
+    if (!job) return null;
+    const recording = active.get(id);
+    const { segments } = recording && recording.index ? recording.index : await loadIndex(id);
+    if (!segments.length) return null;
+    return buildMediaPlaylist(segments, { live: job.status === 'recording', segmentUrl });
+}
+
+// The file for a segment name from a recording playlist ("12" or "init-3"), or null
+async function getRecordingSegmentFile(id, name) {
+    if (!getRecording(id)) return null;
+    const recording = active.get(id);
+    const index = recording && recording.index ? recording.index : await loadIndex(id);
+
+    const initMatch = /^init-(\d+)$/.exec(name);
+    const segmentId = parseInt(initMatch ? initMatch[1] : name, 10);
+    const entry = initMatch
+        ? index.inits.find(init => init.id === segmentId)
+        : index.segments.find(segment => segment.id === segmentId);
+    if (!entry) return null;
+    return { path: path.join(getRecordingDir(id), `${name}.seg`), contentType: entry.contentType };
+}
+
+module.exports = {
+    RECORDING_CONFIG,
+    RecordingError,
+    isRecordingEnabled,
+    isValidApiKey,
+    initRecordings,
+    scheduleRecording,
+    deleteRecording,
+    listRecordings,
+    getRecording,
+    getPlayableRecordings,
+    buildRecordingPlaylist,
+    getRecordingSegmentFile
+};
@@ -0,0 +1,203 @@
+// Helpers for building playable stream URLs for a channel.
+const { log, withoutRequestId } = require('./logger');
+const { recordUpstreamFailure } = require('./metrics');
+const { fetchWithRetry } = require('./httpClient');
+const { PREFERRED_STREAMS } = require('./config');
+const { createProxyToken } = require('../proxy/tokens');
+const { getCoverage } = require('../proxy/timeshift');
+const { parsePlaylist, getVariants } = require('../proxy/hls');
+const { version } = require('../package.json');
+
+const STREAM_CONFIG = {
+    VARIANT_CACHE_DURATION: 10 * 60 * 1000, // 10 minutes
+    MASTER_FETCH_TIMEOUT: 5000
+};
+
+// Master playlist variants per channel: channelId -> { variants, fetchedAt }
+const variantCache = new Map();
+// channelId -> promise of a master playlist fetch in progress
+const variantFetches = new Map();
+
+// Build the signed proxy URL for a channel's stream. The token scopes the URL to the channel and
+// expires after ttl seconds; the headers are passed along for the manifest and segments.
+function buildProxyUrl(host, url, { channelId, headers, ttl } = {}) {
+    const params = new URLSearchParams({ token: createProxyToken(channelId, ttl, new URL(url).host.toLowerCase()) });
+    if (headers) {
+        params.set('headers', JSON.stringify(headers));
+    }
+    return `${host}/proxy/${encodeURIComponent(url)}?${params}`;
+}
+
+// Fetch and parse the channel's master playlist into the cache. Failures just mean no per-quality
+// streams until the next try.
+function refreshChannelVariants(channelId, channelData) {
+    if (variantFetches.has(channelId)) return variantFetches.get(channelId);
+
+    const fetchVariants = async () => {
+        let variants = [];
+        try {
+            // One retry at most, as the origin may be struggling already
+            const res = await fetchWithRetry(channelData.mjh_master, {
+                headers: channelData.headers || {},
+                timeout: STREAM_CONFIG.MASTER_FETCH_TIMEOUT,
+                retries: 1
+            });
+            // res.url is the final URL after redirects, which relative variant URIs resolve against
+            variants = getVariants(parsePlaylist(await res.text()), res.url || channelData.mjh_master);
+        } catch (error) {
+            recordUpstreamFailure('variants');
+            log('WARN', 'STREAM', `Could not load variants for ${channelId}`, { error: error.message });
+        }
+        variantCache.set(channelId, { variants, fetchedAt: Date.now() });
+        variantFetches.delete(channelId);
+        return variants;
+    };
+    const fetching = withoutRequestId(fetchVariants);
+    variantFetches.set(channelId, fetching);
+    return fetching;
+}
+
+// The channel's variants as far as they are known, without waiting on the origin: stale or missing
+// entries are refreshed in the background for the next stream request.
+function getChannelVariants(channelId, channelData) {
+    const cached = variantCache.get(channelId);
+    if (!cached || Date.now() - cached.fetchedAt >= STREAM_CONFIG.VARIANT_CACHE_DURATION) {
+        refreshChannelVariants(channelId, channelData);
+    }
+    return cached ? cached.variants : [];
+}
+
+function formatBitrate(bandwidth) {
+    return bandwidth >= 1000000 ? `${(bandwidth / 1000000).toFixed(1)} Mbps` : `${Math.round(bandwidth / 1000)} kbps`;
+}
+
+// e.g. "1080p50 · 5.0 Mbps"
+function getVariantLabel(variant) {
+    const parts = [];
+    if (variant.height) {
+        const frameRate = variant.frameRate && variant.frameRate > 30 ? Math.round(variant.frameRate) : '';
+        parts.push(`${variant.height}p${frameRate}`);
+    }
+    if (variant.bandwidth) parts.push(formatBitrate(variant.bandwidth));
+    return parts.join(' · ') || 'Unknown quality';
+}
+
+// Channels that need request headers can only be played through the proxy
+function allowsDirect(channelData) {
+    if (channelData.direct === false) return false;
+    return !channelData.headers || Object.keys(channelData.headers).length === 0;
+}
+
+// Put the user's preferred stream first, keeping the rest in their original order
+function orderStreams(streams, preferred) {
+    const index = streams.findIndex(stream => stream.kinds.includes(preferred));
+    if (index <= 0) return streams;
+    return [streams[index], ...streams.slice(0, index), ...streams.slice(index + 1)];
+}
+
+// Build the stream list for a channel: Auto (proxied master), one proxied stream per quality, and
+// the origin URL directly when the channel allows it. Returns Stremio stream objects.
+function buildChannelStreams({ host, channelId, channelData, preferredStream = 'auto' }) {
+    const channelName = channelData.name || 'Unknown Channel';
+
+    // Define headers as a string to avoid double encoding
+    const defaultHeaders = {
+        'User-Agent': `stremio-freeview/${version}`,
+        'Referer': ' ',
+        'seekable': '0'
+    };
+
+    // Merge default headers with channel-specific headers
+    const streamHeaders = {
+        ...defaultHeaders,
+        ...(channelData.headers || {})
+    };
+
+    const behaviorHints = {
+        // Live stream flags
+        isLive: true,
+        bingeGroup: `nzfreeview-${channelId}`,
+        // Transport hints
+        notWebReady: true, // Force proxying for web player
+        proxyHeaders: {
+            request: streamHeaders
+        }
+    };
+
+    const proxied = (url, name, detail, kinds) => ({
+        kinds,
+        url: buildProxyUrl(host, url, { channelId, headers: channelData.headers }),
+        name,
+        // Use `description` as `title` is being deprecated.
+        description: `${channelName}\n${detail}`,
+        behaviorHints
+    });
+
+    const streams = [proxied(channelData.mjh_master, 'NZ Freeview (Proxied)', 'Auto quality', ['auto'])];
+
+    // Until the master playlist has been fetched once, only the Auto stream is offered
+    const variants = getChannelVariants(channelId, channelData);
+    variants.forEach((variant, index) => {
+        // A single variant is both the highest and the lowest quality
+        const kinds = [];
+        if (index === 0) kinds.push('highest');
+        if (index === variants.length - 1) kinds.push('lowest');
+        const label = getVariantLabel(variant);
+        streams.push(proxied(variant.url, `NZ Freeview ${variant.height ? `${variant.height}p` : 'Fixed'}`, `${label} (Proxied)`, kinds));
+    });
+
+    if (allowsDirect(channelData)) {
+        streams.push({
+            kinds: ['direct'],
+            url: channelData.mjh_master,
+            name: 'NZ Freeview (Direct)',
+            description: `${channelName}\nAuto quality, direct from source`,
+            behaviorHints: {
+                isLive: true,
+                bingeGroup: `nzfreeview-${channelId}`
+            }
+        });
+    }
+
+    return orderStreams(streams, preferredStream).map(({ kinds, ...stream }) => stream);
+}
+
+// A stream that plays a programme from the start out of the timeshift buffer, or null when none of
+// it is buffered. Programmes still airing play from their start up to the live edge.
+function buildCatchupStream({ host, channelId, channelData, programme }) {
+    const coverage = getCoverage(channelId, programme.start, programme.end);
+    if (!coverage) return null;
+
+    const start = Math.floor(programme.start / 1000);
+    const end = Math.floor(programme.end / 1000);
+    const params = new URLSearchParams({ token: createProxyToken(channelId) });
+    // Programmes that started before the buffer did can only be played from where it begins
+    const from = coverage.start > programme.start + 60 * 1000 ? 'From partway through' : 'From the start';
+
+    return {
+        url: `${host}/timeshift/${encodeURIComponent(channelId)}/${start}-${end}.m3u8?${params}`,
+        name: 'NZ Freeview (Catch-up)',
+        description: `${channelData.name || 'Unknown Channel'}\n${programme.title}\n${from}`,
+        behaviorHints: {
+            bingeGroup: `nzfreeview-${channelId}`,
+            notWebReady: true
+        }
+    };
+}
+
+// A finished or in-progress recording (see recordings.js). The token is scoped to the recording.
+function buildRecordingStream({ host, recording }) {
+    const params = new URLSearchParams({ token: createProxyToken(`recording:${recording.id}`) });
+    return {
+        url: `${host}/recordings/${recording.id}.m3u8?${params}`,
+        name: 'NZ Freeview (Recording)',
+        description: [recording.channelName, recording.title, recording.status === 'recording' ? 'Still recording' : null]
+            .filter(Boolean)
+            .join('\n'),
+        behaviorHints: {
+            notWebReady: true
+        }
+    };
+}
+
+module.exports = { PREFERRED_STREAMS, buildProxyUrl, buildChannelStreams, buildCatchupStream, buildRecordingStream };
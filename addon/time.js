@@ -0,0 +1,81 @@
+// Shared programme time formatting.
+// Times are always rendered in an explicit IANA timezone (Pacific/Auckland by default) so output
+// does not depend on the server's locale or timezone. Intl resolves NZDT/NZST changeovers for us.
+const { DEFAULT_TIMEZONE, isValidTimezone } = require('./config');
+
+const LOCALE = 'en-NZ';
+
+// Intl.DateTimeFormat construction is comparatively expensive, so formatters are reused
+const formatterCache = new Map();
+
+function getFormatter(options) {
+    const key = JSON.stringify(options);
+    if (!formatterCache.has(key)) {
+        formatterCache.set(key, new Intl.DateTimeFormat(LOCALE, options));
+    }
+    return formatterCache.get(key);
+}
+
+// Resolve the time preferences from a user's install config, falling back to NZ 24h time
+function getTimeOptions(config) {
+    const options = { timezone: DEFAULT_TIMEZONE, hour12: false };
+    if (!config) return options;
+
+    if (isValidTimezone(config.timezone)) {
+        options.timezone = config.timezone;
+    }
+    if (typeof config.hour12 === 'boolean') {
+        options.hour12 = config.hour12;
+    }
+    return options;
+}
+
+// e.g. "19:30" or "7:30 pm"
+function formatTime(timestamp, options = {}) {
+    const { timezone = DEFAULT_TIMEZONE, hour12 = false } = options;
+    return getFormatter({
+        timeZone: timezone,
+        hour: hour12 ? 'numeric' : '2-digit',
+        minute: '2-digit',
+        hourCycle: hour12 ? 'h12' : 'h23'
+    }).format(new Date(timestamp));
+}
+
+// e.g. "19:30 - 20:00"
+function formatTimeRange(start, end, options = {}) {
+    return `${formatTime(start, options)} - ${formatTime(end, options)}`;
+}
+
+// e.g. "Tuesday, 20 October"
+function formatDay(timestamp, options = {}) {
+    const { timezone = DEFAULT_TIMEZONE } = options;
+    return getFormatter({
+        timeZone: timezone,
+        weekday: 'long',
+        day: 'numeric',
+        month: 'long'
+    }).format(new Date(timestamp));
+}
+
+// Key identifying the calendar day a timestamp falls on in the timezone, e.g. "2024-05-01"
+function getDayKey(timestamp, options = {}) {
+    const { timezone = DEFAULT_TIMEZONE } = options;
+    const parts = getFormatter({
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit'
+    }).formatToParts(new Date(timestamp));
+    const part = (type) => parts.find(p => p.type === type).value;
+    return `${part('year')}-${part('month')}-${part('day')}`;
+}
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    isValidTimezone,
+    getTimeOptions,
+    formatTime,
+    formatTimeRange,
+    formatDay,
+    getDayKey
+};
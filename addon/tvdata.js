@@ -0,0 +1,192 @@
+// TV data cache shared by the addon handlers and the server's own endpoints.
+const { log, withoutRequestId } = require('./logger');
+const { recordUpstreamFailure } = require('./metrics');
+const { loadChannelData, loadCachedChannelData } = require('./providers');
+const { rebuildProgrammeIndex } = require('./epgSearch');
+const { initChannelHistory, recordChannels, resolveConfigChannels } = require('./channelHistory');
+
+// Cache configuration
+const CACHE_CONFIG = {
+    TV_CACHE_DURATION: 60 * 60 * 1000, // 1 hour
+    RETRY_INTERVAL: 60 * 1000 // Minimum gap between refresh attempts while serving stale data
+};
+
+// Cache storage
+let tvDataCache = {
+    data: null,
+    lastFetch: 0,
+    lastAttempt: 0,
+    lastError: null,
+    source: null, // 'disk' or 'network'
+    updatePromise: null
+};
+
+// Update TV data cache
+async function updateTVDataCache() {
+    // If an update is already in progress, return the existing promise to avoid race conditions.
+    if (tvDataCache.updatePromise) {
+        log('DEBUG', 'TV_CACHE', 'Update already in progress, awaiting existing fetch.');
+        return tvDataCache.updatePromise;
+    }
+    
+    const startTime = Date.now();
+    tvDataCache.lastAttempt = startTime;
+    const updateLogic = async () => {
+        try {
+            log('INFO', 'TV_CACHE', 'Starting TV data update');
+            const { data: tvData, fetchedAt, errors } = await loadChannelData();
+            
+            tvDataCache.data = tvData;
+            tvDataCache.lastFetch = fetchedAt;
+            rebuildProgrammeIndex(tvData);
+            recordChannels(tvData);
+            // Sources that failed are served from their previous payload
+            errors.forEach(() => recordUpstreamFailure('channel-data'));
+            tvDataCache.lastError = errors.length ? errors.join('; ') : null;
+            if (!errors.length || !tvDataCache.source) {
+                tvDataCache.source = 'network';
+            }
+            
+            const channelCount = Object.keys(tvData).length;
+            const duration = Date.now() - startTime;
+            log('INFO', 'TV_CACHE', `Updated with ${channelCount} channels`, { 
+                duration, 
+                channelCount 
+            });
+            
+        } catch (error) {
+            const duration = Date.now() - startTime;
+            tvDataCache.lastError = error.message;
+            recordUpstreamFailure('channel-data');
+            log('ERROR', 'TV_CACHE', 'Update failed', { 
+                error: error.message, 
+                duration 
+            });
+            // Do not replace existing stale data if the update fails
+        } finally {
+            // Clear the promise to allow future updates
+            tvDataCache.updatePromise = null;
+        }
+    };
+
+    tvDataCache.updatePromise = updateLogic();
+    return tvDataCache.updatePromise;
+}
+
+// Seed the cache from disk so the first requests after a cold start are served immediately,
+// then refresh in the background with a conditional request.
+async function initTVDataCache() {
+    await initChannelHistory();
+    try {
+        const cached = await loadCachedChannelData();
+        if (cached && !tvDataCache.data) {
+            tvDataCache.data = cached.data;
+            tvDataCache.lastFetch = cached.fetchedAt;
+            rebuildProgrammeIndex(cached.data);
+            recordChannels(cached.data);
+            tvDataCache.source = 'disk';
+            log('INFO', 'TV_CACHE', `Restored ${Object.keys(cached.data).length} channels from disk`, {
+                ageSeconds: Math.round((Date.now() - cached.fetchedAt) / 1000)
+            });
+        }
+    } catch (error) {
+        log('WARN', 'TV_CACHE', 'Could not restore cached data', { error: error.message });
+    }
+    updateTVDataCache();
+}
+
+// Get TV data with caching (stale-while-revalidate)
+async function getTVData() {
+    const now = Date.now();
+    
+    if (!tvDataCache.data) {
+        // Nothing to serve yet, so wait for the fetch
+        await updateTVDataCache();
+    } else if (now - tvDataCache.lastFetch > CACHE_CONFIG.TV_CACHE_DURATION
+        && now - tvDataCache.lastAttempt > CACHE_CONFIG.RETRY_INTERVAL) {
+        // Serve the stale data right away and refresh in the background
+        withoutRequestId(updateTVDataCache);
+    }
+    
+    return tvDataCache.data || {}; // Always return an object
+}
+
+// Cache freshness for /health
+function getTVDataStatus() {
+    const ageMs = tvDataCache.data ? Date.now() - tvDataCache.lastFetch : null;
+    return {
+        loaded: Boolean(tvDataCache.data),
+        source: tvDataCache.source,
+        channelCount: tvDataCache.data ? Object.keys(tvDataCache.data).length : 0,
+        lastFetch: tvDataCache.data ? new Date(tvDataCache.lastFetch).toISOString() : null,
+        ageSeconds: ageMs === null ? null : Math.round(ageMs / 1000),
+        stale: ageMs === null || ageMs > CACHE_CONFIG.TV_CACHE_DURATION,
+        updating: Boolean(tvDataCache.updatePromise),
+        lastError: tvDataCache.lastError
+    };
+}
+
+// Get all channels from TV data
+async function getChannels() {
+    const tvData = await getTVData();
+    
+    return Object.entries(tvData).map(([id, channel]) => ({
+        id: id,
+        name: channel.name,
+        logo: channel.logo,
+        description: channel.description,
+        chno: channel.chno,
+        url: channel.mjh_master,
+        network: channel.network,
+        source: channel.source
+    })).sort((a, b) => (a.chno || 999) - (b.chno || 999));
+}
+
+// A channel with the user's custom name and number and their favourite flag applied
+function applyChannelSettings(channel, config) {
+    const settings = config && config.channelSettings && config.channelSettings[channel.id];
+    if (!settings) return channel;
+    return {
+        ...channel,
+        name: settings.name || channel.name,
+        chno: settings.chno || channel.chno,
+        favourite: settings.favourite === true
+    };
+}
+
+// The user's channels in their order. Channels removed from the data are swapped for their
+// replacements (see channelHistory). Channels added since the config was made follow the
+// `newChannels` setting: left out, appended to the list, or returned as `newChannels` for the
+// "New Channels" catalog.
+function getUserChannels(args, allChannels) {
+    const config = args.config || {};
+    if (Array.isArray(config.channels)) {
+        const { channelIds, newIds, channelSettings } = resolveConfigChannels(config, allChannels);
+        const channels = allChannels.map(channel => applyChannelSettings(channel, { channelSettings }));
+        const orderedChannels = channelIds.map(id => channels.find(c => c.id === id));
+        // allChannels is sorted by chno, so new channels keep that order
+        const newChannels = channels.filter(c => newIds.includes(c.id));
+
+        if (config.newChannels === 'append') {
+            return { channels: [...orderedChannels, ...newChannels], newChannels: [], userSorted: true };
+        }
+        return {
+            channels: orderedChannels,
+            newChannels: config.newChannels === 'catalog' ? newChannels : [],
+            userSorted: true
+        };
+    }
+    // Custom channel numbers can change the chno order getChannels returns
+    const channels = allChannels.map(channel => applyChannelSettings(channel, config));
+    return { channels: channels.sort((a, b) => (a.chno || 999) - (b.chno || 999)), newChannels: [], userSorted: false };
+}
+
+module.exports = {
+    initTVDataCache,
+    updateTVDataCache,
+    getTVDataStatus,
+    getTVData,
+    getChannels,
+    applyChannelSettings,
+    getUserChannels
+};
@@ -1,12 +1,38 @@
 document.addEventListener('DOMContentLoaded', () => {
     const API_URL = window.location.origin;
+    const CATALOG_PAGE_SIZE = 100;
+    const EDIT_KEYS_STORAGE_KEY = 'nzfreeview-edit-keys';
+    const GUIDE_HOUR_WIDTH = 160; // Pixels per hour in the guide grid
+    const GUIDE_REFRESH_INTERVAL = 60 * 1000;
+    const { DEFAULT_TIMEZONE, encodeConfig, decodeConfig, normalizeConfig } = window.NZFreeviewConfig;
     
     let allChannels = [];
     let selectedChannelIds = [];
+    let allCatalogs = [];
+    let enabledCatalogIds = [];
+    // Channels added since the loaded config was made
+    let newChannelIds = [];
+    // Custom names, numbers and favourites by channel ID, as in the config
+    let channelSettings = {};
     let sortable;
+    let guideSortable;
+    // 'list' or 'guide', and the guide's schedule window from /api/schedule
+    let viewMode = 'list';
+    let schedule = null;
+    // The saved config being edited, and its encoding when it was last saved
+    let savedId = null;
+    let savedEncoding = null;
+    // Cleared when the server has no persistent store for short links
+    let shortLinksAvailable = true;
 
     // DOM Elements
     const channelListEl = document.getElementById('channelList');
+    const guideEl = document.getElementById('guide');
+    const guideRowsEl = document.getElementById('guideRows');
+    const guideHeaderEl = document.getElementById('guideHeader');
+    const listViewBtn = document.getElementById('listView');
+    const guideViewBtn = document.getElementById('guideView');
+    const catalogListEl = document.getElementById('catalogList');
     const searchInput = document.getElementById('search');
     const selectAllBtn = document.getElementById('selectAll');
     const deselectAllBtn = document.getElementById('deselectAll');
@@ -14,28 +40,456 @@ document.addEventListener('DOMContentLoaded', () => {
     const manifestUrlSpan = document.getElementById('manifestUrl');
     const installLink = document.getElementById('installLink');
     const errorDiv = document.getElementById('error');
+    const noticeDiv = document.getElementById('notice');
+    const loadSourceInput = document.getElementById('loadSource');
+    const loadConfigBtn = document.getElementById('loadConfig');
+    const importConfigBtn = document.getElementById('importConfig');
+    const exportConfigBtn = document.getElementById('exportConfig');
+    const importFileInput = document.getElementById('importFile');
     const toggleManifestUrlBtn = document.getElementById('toggleManifestUrl');
+    const playlistLink = document.getElementById('playlistLink');
+    const epgLink = document.getElementById('epgLink');
+    const preferredStreamSelect = document.getElementById('preferredStream');
+    const offlineChannelsSelect = document.getElementById('offlineChannels');
+    const newChannelsSelect = document.getElementById('newChannels');
+    const timezoneSelect = document.getElementById('timezone');
+    const hour12Select = document.getElementById('hour12');
+    const saveConfigBtn = document.getElementById('saveConfig');
+    const saveStatusEl = document.getElementById('saveStatus');
 
     // --- Core Functions ---
     
     /**
-     * Encodes an object into a Base64 string for URL configuration.
+     * Fills the timezone list from the browser, keeping the default at the top.
      */
-    function base64Encode(obj) {
-        return btoa(JSON.stringify(obj));
+    function populateTimezones() {
+        const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+        zones.filter(zone => zone !== DEFAULT_TIMEZONE).forEach(zone => {
+            const option = document.createElement('option');
+            option.value = zone;
+            option.textContent = zone;
+            timezoneSelect.appendChild(option);
+        });
+        timezoneSelect.value = DEFAULT_TIMEZONE;
+    }
+
+    /**
+     * Edit keys for configs saved from this browser, by config ID.
+     */
+    function getEditKeys() {
+        try {
+            return JSON.parse(localStorage.getItem(EDIT_KEYS_STORAGE_KEY)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    function storeEditKey(id, editKey) {
+        const keys = getEditKeys();
+        keys[id] = editKey;
+        localStorage.setItem(EDIT_KEYS_STORAGE_KEY, JSON.stringify(keys));
+    }
+
+    /**
+     * Builds the config object from the current selections.
+     */
+    function buildConfig() {
+        const catalogOrder = [...enabledCatalogIds, ...allCatalogs.map(c => c.id).filter(id => !enabledCatalogIds.includes(id))];
+        return {
+            channels: selectedChannelIds,
+            excludedChannels: allChannels.map(c => c.id).filter(id => !selectedChannelIds.includes(id)),
+            // Only pin the catalog order when it differs from the default
+            catalogs: catalogOrder.join(',') !== allCatalogs.map(c => c.id).join(',') ? catalogOrder : null,
+            hiddenCatalogs: allCatalogs.map(c => c.id).filter(id => !enabledCatalogIds.includes(id)),
+            channelSettings,
+            preferredStream: preferredStreamSelect.value,
+            offlineChannels: offlineChannelsSelect.value,
+            newChannels: newChannelsSelect.value,
+            timezone: timezoneSelect.value,
+            hour12: hour12Select.value === 'true'
+        };
+    }
+
+    /**
+     * Sets the selections from a normalized config. Channels that no longer exist are dropped.
+     */
+    function applyConfig(config) {
+        const channelIds = allChannels.map(c => c.id);
+        selectedChannelIds = config.channels ? config.channels.filter(id => channelIds.includes(id)) : channelIds;
+
+        const order = config.catalogs || [];
+        const rank = id => (order.includes(id) ? order.indexOf(id) : order.length);
+        enabledCatalogIds = allCatalogs.map(c => c.id)
+            .filter(id => !config.hiddenCatalogs.includes(id))
+            .sort((a, b) => rank(a) - rank(b));
+
+        channelSettings = {};
+        Object.keys(config.channelSettings)
+            .filter(id => channelIds.includes(id))
+            .forEach(id => {
+                channelSettings[id] = config.channelSettings[id];
+            });
+
+        preferredStreamSelect.value = config.preferredStream;
+        offlineChannelsSelect.value = config.offlineChannels;
+        newChannelsSelect.value = config.newChannels;
+        if (!Array.from(timezoneSelect.options).some(option => option.value === config.timezone)) {
+            timezoneSelect.add(new Option(config.timezone, config.timezone));
+        }
+        timezoneSelect.value = config.timezone;
+        hour12Select.value = String(config.hour12);
+    }
+
+    /**
+     * Asks the server how a config's channels map onto the current channels: removed channels
+     * are swapped for the channel that replaced them where there is one. Without the server's
+     * answer, channels are only matched by ID.
+     */
+    function resolveChannels(config) {
+        return fetch(`${API_URL}/api/channels/resolve`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ config })
+        })
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                return response.json();
+            })
+            .catch(() => {
+                const channelIds = allChannels.map(c => c.id);
+                return {
+                    channels: config.channels,
+                    excludedChannels: config.excludedChannels,
+                    channelSettings: config.channelSettings,
+                    replacements: {},
+                    newChannels: config.channels
+                        ? channelIds.filter(id => !config.channels.includes(id) && !config.excludedChannels.includes(id))
+                        : []
+                };
+            });
+    }
+
+    /**
+     * Restores a config into the page and reports what changed since it was made: channels that
+     * no longer exist or were replaced, channels added since, and settings that could not be used.
+     */
+    function restoreConfig(config, errors = []) {
+        return resolveChannels(config).then(resolved => {
+            const channelIds = allChannels.map(c => c.id);
+            const getName = id => allChannels.find(c => c.id === id).name;
+            const removedChannelIds = (config.channels || [])
+                .filter(id => !channelIds.includes(id) && !resolved.replacements[id]);
+            const replaced = Object.keys(resolved.replacements)
+                .filter(id => (config.channels || []).includes(id))
+                .map(id => `${id} → ${getName(resolved.replacements[id])}`);
+            newChannelIds = resolved.newChannels;
+
+            applyConfig({
+                ...config,
+                channels: resolved.channels,
+                excludedChannels: resolved.excludedChannels,
+                channelSettings: resolved.channelSettings
+            });
+            // The addon appends new channels itself, so they are selected here to match
+            if (config.newChannels === 'append') {
+                selectedChannelIds = [...selectedChannelIds, ...newChannelIds.filter(id => !selectedChannelIds.includes(id))];
+            }
+            renderCatalogs();
+            renderChannels();
+
+            const messages = [...errors];
+            if (removedChannelIds.length) {
+                messages.push(`No longer available, removed from the selection: ${removedChannelIds.join(', ')}`);
+            }
+            if (replaced.length) {
+                messages.push(`Replaced by a channel with the same name or number: ${replaced.join(', ')}`);
+            }
+            if (newChannelIds.length) {
+                const where = {
+                    append: 'added to the end of the selection',
+                    catalog: 'listed in the New Channels catalog, not selected',
+                    ignore: 'not selected'
+                }[config.newChannels];
+                messages.push(`Added since this config was made (marked New, ${where}): ${newChannelIds.map(getName).join(', ')}`);
+            }
+            showNotice(messages);
+        });
+    }
+
+    /**
+     * Works out what a pasted manifest URL, install link, config string or short ID refers to.
+     */
+    function parseConfigSource(value) {
+        const text = value.trim();
+        const shortLink = /\/c\/([a-z0-9]{4,32})(?:\/|$)/.exec(text);
+        if (shortLink) return { id: shortLink[1] };
+        // Short IDs are lowercase; base64 configs always contain capitals ("eyJ...")
+        if (/^[a-z0-9]{4,32}$/.test(text)) return { id: text };
+
+        try {
+            const url = new URL(text.replace(/^stremio:\/\//, 'https://'));
+            const segments = url.pathname.split('/').filter(Boolean);
+            if (['manifest.json', 'configure'].includes(segments[segments.length - 1])) segments.pop();
+            return { encoded: url.searchParams.get('config') || segments.pop() || '' };
+        } catch (error) {
+            // Not a URL, so a bare config string
+            return { encoded: text };
+        }
+    }
+
+    /**
+     * Loads a saved config by ID, or decodes a config string, and restores it into the page.
+     */
+    function loadConfigSource({ id, encoded }) {
+        hideError();
+        if (id) {
+            return fetch(`${API_URL}/api/configs/${encodeURIComponent(id)}`)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Saved config ${id} was not found`);
+                    }
+                    return response.json();
+                })
+                .then(body => {
+                    const { config, errors } = normalizeConfig(body.config, { catalogIds: allCatalogs.map(c => c.id) });
+                    savedId = id;
+                    return restoreConfig(config, errors).then(() => {
+                        savedEncoding = encodeConfig(buildConfig());
+                        window.history.replaceState(null, '', `?id=${encodeURIComponent(id)}`);
+                        updateManifestUrl();
+                    });
+                })
+                .catch(error => showError(`Could not load config: ${error.message}`));
+        }
+
+        const { config, errors } = decodeConfig(encoded, { catalogIds: allCatalogs.map(c => c.id) });
+        savedId = null;
+        return restoreConfig(config, errors).then(() => {
+            if (encoded) {
+                window.history.replaceState(null, '', `?config=${encodeURIComponent(encoded)}`);
+            }
+            updateManifestUrl();
+        });
+    }
+
+    function handleLoad() {
+        if (!loadSourceInput.value.trim()) return;
+        loadConfigSource(parseConfigSource(loadSourceInput.value));
+    }
+
+    function handleExport() {
+        const blob = new Blob([JSON.stringify(buildConfig(), null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'nzfreeview-config.json';
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    function handleImport() {
+        const file = importFileInput.files[0];
+        if (!file) return;
+        file.text()
+            .then(text => {
+                const { config, errors } = normalizeConfig(JSON.parse(text), { catalogIds: allCatalogs.map(c => c.id) });
+                return restoreConfig(config, errors);
+            })
+            .then(() => {
+                updateManifestUrl();
+                hideError();
+            })
+            .catch(error => showError(`Could not import ${file.name}: ${error.message}`))
+            .finally(() => {
+                importFileInput.value = '';
+            });
     }
 
     /**
      * Updates the manifest URL and install link based on the current configuration.
+     * Saved configs use their short ID; unsaved changes fall back to the full config in the URL.
      */
     function updateManifestUrl() {
-        const config = { channels: selectedChannelIds };
-        const b64Config = base64Encode(config);
-        const manifestUrl = `${API_URL}/manifest.json?config=${b64Config}`;
+        // The config is a path segment, as Stremio drops query strings from manifest URLs
+        const b64Config = encodeConfig(buildConfig());
+        const isSaved = savedId && b64Config === savedEncoding;
+        const pathPrefix = isSaved ? `c/${savedId}` : b64Config;
+        const manifestUrl = `${API_URL}/${pathPrefix}/manifest.json`;
         
         manifestUrlSpan.textContent = manifestUrl;
-        installLink.href = `stremio://${window.location.host}/manifest.json?config=${b64Config}`;
+        installLink.href = `stremio://${window.location.host}/${pathPrefix}/manifest.json`;
         installLink.setAttribute('aria-disabled', selectedChannelIds.length === 0 ? 'true' : 'false');
+        playlistLink.href = `${API_URL}/${pathPrefix}/playlist.m3u`;
+        epgLink.href = `${API_URL}/${pathPrefix}/epg.xml`;
+
+        const canUpdate = savedId && getEditKeys()[savedId];
+        saveConfigBtn.disabled = selectedChannelIds.length === 0;
+        saveConfigBtn.textContent = canUpdate ? 'Save Changes' : 'Save & Get Short Link';
+        saveConfigBtn.style.display = shortLinksAvailable ? '' : 'none';
+        if (!shortLinksAvailable) {
+            saveStatusEl.textContent = 'Short links are not available on this server, so the install link carries the full config.';
+        } else if (savedId && !canUpdate) {
+            saveStatusEl.textContent = `Config ${savedId} was saved in another browser, so saving creates a new link.`;
+        } else if (isSaved) {
+            saveStatusEl.textContent = `Saved as ${savedId}. Changes saved here apply to installed addons without reinstalling.`;
+        } else {
+            saveStatusEl.textContent = savedId ? 'Unsaved changes' : '';
+        }
+    }
+
+    /**
+     * Saves the config: updates the loaded config when this browser holds its edit key,
+     * otherwise stores a new one.
+     */
+    function handleSave() {
+        const editKey = savedId && getEditKeys()[savedId];
+        const headers = { 'Content-Type': 'application/json' };
+        if (editKey) {
+            headers['X-Edit-Key'] = editKey;
+        }
+
+        saveConfigBtn.disabled = true;
+        fetch(editKey ? `${API_URL}/api/configs/${savedId}` : `${API_URL}/api/configs`, {
+            method: editKey ? 'PUT' : 'POST',
+            headers,
+            body: JSON.stringify({ config: buildConfig() })
+        })
+            .then(response => response.json().then(body => {
+                if (!response.ok) {
+                    const error = new Error((body.errors || []).join('; ') || body.error || `HTTP error! status: ${response.status}`);
+                    error.reason = body.reason;
+                    throw error;
+                }
+                return body;
+            }))
+            .then(body => {
+                savedId = body.id;
+                savedEncoding = encodeConfig(body.config);
+                if (body.editKey) {
+                    storeEditKey(body.id, body.editKey);
+                }
+                window.history.replaceState(null, '', `?id=${encodeURIComponent(savedId)}`);
+                hideError();
+            })
+            .catch(error => {
+                if (error.reason === 'disabled') {
+                    shortLinksAvailable = false;
+                    return;
+                }
+                showError(`Could not save config: ${error.message}`);
+            })
+            .finally(updateManifestUrl);
+    }
+
+    /**
+     * Renders the catalog list, enabled catalogs first in their chosen order.
+     */
+    function renderCatalogs() {
+        const enabled = enabledCatalogIds
+            .map(id => allCatalogs.find(c => c.id === id))
+            .filter(Boolean);
+        const disabled = allCatalogs.filter(c => !enabledCatalogIds.includes(c.id));
+
+        catalogListEl.innerHTML = '';
+        const fragment = document.createDocumentFragment();
+        [...enabled, ...disabled].forEach(catalog => {
+            const li = document.createElement('li');
+            li.className = 'channel-item';
+            li.dataset.id = catalog.id;
+            li.innerHTML = `
+                <label>
+                    <input type="checkbox" ${enabledCatalogIds.includes(catalog.id) ? 'checked' : ''}>
+                    <span></span>
+                </label>
+            `;
+            // Network and group names come from channel sources, so they are set as text
+            li.querySelector('span').textContent = catalog.name;
+            li.querySelector('input').addEventListener('change', () => toggleCatalog(catalog.id));
+            fragment.appendChild(li);
+        });
+        catalogListEl.appendChild(fragment);
+    }
+
+    function toggleCatalog(id) {
+        const index = enabledCatalogIds.indexOf(id);
+        if (index > -1) {
+            enabledCatalogIds.splice(index, 1);
+        } else {
+            enabledCatalogIds.push(id);
+        }
+        renderCatalogs();
+        updateManifestUrl();
+    }
+
+    function getDisplayName(channel) {
+        return (channelSettings[channel.id] && channelSettings[channel.id].name) || channel.name;
+    }
+
+    /**
+     * Sets or clears one of a channel's custom settings. Channels left with no custom settings
+     * are dropped from the config.
+     */
+    function updateChannelSetting(id, key, value) {
+        const settings = { ...channelSettings[id] };
+        if (value === undefined) {
+            delete settings[key];
+        } else {
+            settings[key] = value;
+        }
+
+        if (Object.keys(settings).length) {
+            channelSettings = { ...channelSettings, [id]: settings };
+        } else {
+            channelSettings = { ...channelSettings };
+            delete channelSettings[id];
+        }
+        renderChannels();
+        updateManifestUrl();
+    }
+
+    /**
+     * Creates the inline editors for a channel's favourite flag, custom number and custom name.
+     */
+    function createChannelEditor(channel) {
+        const settings = channelSettings[channel.id] || {};
+        const editor = document.createElement('div');
+        editor.className = 'channel-edit';
+
+        const favourite = document.createElement('button');
+        favourite.type = 'button';
+        favourite.className = `favourite${settings.favourite ? ' active' : ''}`;
+        favourite.textContent = settings.favourite ? '★' : '☆';
+        favourite.title = settings.favourite ? 'Remove from Favourites' : 'Add to Favourites';
+        favourite.addEventListener('click', () => updateChannelSetting(channel.id, 'favourite', settings.favourite ? undefined : true));
+
+        const chno = document.createElement('input');
+        chno.type = 'number';
+        chno.min = '1';
+        chno.max = '9999';
+        chno.className = 'channel-chno';
+        chno.title = 'Channel number';
+        chno.placeholder = channel.chno || '';
+        chno.value = settings.chno || '';
+        chno.addEventListener('change', () => {
+            const value = parseInt(chno.value, 10);
+            updateChannelSetting(channel.id, 'chno', value > 0 && value < 10000 ? value : undefined);
+        });
+
+        const name = document.createElement('input');
+        name.type = 'text';
+        name.maxLength = 60;
+        name.className = 'channel-name';
+        name.title = 'Channel name';
+        name.placeholder = channel.name;
+        name.value = settings.name || '';
+        name.addEventListener('change', () => {
+            const value = name.value.trim();
+            updateChannelSetting(channel.id, 'name', value && value !== channel.name ? value : undefined);
+        });
+
+        editor.append(favourite, chno, name);
+        return editor;
     }
 
     /**
@@ -48,11 +502,16 @@ document.addEventListener('DOMContentLoaded', () => {
         li.innerHTML = `
             <label>
                 <input type="checkbox" ${channel.selected ? 'checked' : ''}>
-                <img class="channel-logo" src="${channel.logo || channel.poster}" alt="logo">
-                <span>${channel.name}</span>
+                <img class="channel-logo" alt="logo">
+                <span></span>
+                ${newChannelIds.includes(channel.id) ? '<span class="badge-new">New</span>' : ''}
             </label>
         `;
+        // Logos come from channel sources and custom names are user input, so neither goes through HTML
+        li.querySelector('img').src = channel.logo || channel.poster;
+        li.querySelector('span').textContent = getDisplayName(channel);
         li.querySelector('input').addEventListener('change', () => toggleChannelSelection(channel.id));
+        li.appendChild(createChannelEditor(channel));
         return li;
     }
 
@@ -63,13 +522,20 @@ document.addEventListener('DOMContentLoaded', () => {
         const searchTerm = searchInput.value.toLowerCase();
         
         // Filter and sort channels
-        const visibleChannels = allChannels.filter(c => c.name.toLowerCase().includes(searchTerm));
+        const visibleChannels = allChannels.filter(c => (
+            c.name.toLowerCase().includes(searchTerm) || getDisplayName(c).toLowerCase().includes(searchTerm)
+        ));
         const selectedChannels = visibleChannels.filter(c => selectedChannelIds.includes(c.id)).map(c => ({...c, selected: true}));
         const unselectedChannels = visibleChannels.filter(c => !selectedChannelIds.includes(c.id)).map(c => ({...c, selected: false}));
         
         // Sort selected channels based on the master order
         selectedChannels.sort((a, b) => selectedChannelIds.indexOf(a.id) - selectedChannelIds.indexOf(b.id));
 
+        if (viewMode === 'guide') {
+            renderGuide([...selectedChannels, ...unselectedChannels]);
+            return;
+        }
+
         // Clear the list and re-render
         channelListEl.innerHTML = '';
         const fragment = document.createDocumentFragment();
@@ -84,6 +550,139 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    /**
+     * Formats a guide time in the timezone and clock chosen in the settings.
+     */
+    function formatGuideTime(timestamp) {
+        const hour12 = hour12Select.value === 'true';
+        return new Intl.DateTimeFormat('en-NZ', {
+            timeZone: timezoneSelect.value,
+            hour: hour12 ? 'numeric' : '2-digit',
+            minute: '2-digit',
+            hourCycle: hour12 ? 'h12' : 'h23'
+        }).format(new Date(timestamp));
+    }
+
+    /**
+     * Renders the guide grid: one row per channel with its programmes on a shared timeline,
+     * and a line marking the current time. Rows are in the same order as the list.
+     */
+    function renderGuide(channels) {
+        guideHeaderEl.innerHTML = '';
+        guideRowsEl.innerHTML = '';
+        if (!schedule) {
+            guideHeaderEl.textContent = 'Loading guide...';
+            return;
+        }
+
+        const span = schedule.end - schedule.start;
+        const trackWidth = `${(span / 3600000) * GUIDE_HOUR_WIDTH}px`;
+        const percent = duration => `${(duration / span) * 100}%`;
+        const offset = timestamp => percent(Math.max(timestamp, schedule.start) - schedule.start);
+        const now = Date.now();
+        const programmesById = new Map(schedule.channels.map(c => [c.id, c.programmes]));
+
+        // Hour and half-hour labels along the top
+        const headerTrack = document.createElement('div');
+        headerTrack.className = 'guide-track';
+        headerTrack.style.width = trackWidth;
+        for (let time = schedule.start; time < schedule.end; time += 30 * 60 * 1000) {
+            const tick = document.createElement('span');
+            tick.className = 'guide-tick';
+            tick.style.left = offset(time);
+            tick.textContent = formatGuideTime(time);
+            headerTrack.appendChild(tick);
+        }
+        const corner = document.createElement('div');
+        corner.className = 'guide-channel';
+        guideHeaderEl.append(corner, headerTrack);
+
+        const fragment = document.createDocumentFragment();
+        channels.forEach(channel => {
+            const row = document.createElement('div');
+            row.className = `guide-row${channel.selected ? ' selected' : ''}`;
+            row.dataset.id = channel.id;
+
+            const label = document.createElement('label');
+            label.className = 'guide-channel';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = channel.selected;
+            checkbox.addEventListener('change', () => toggleChannelSelection(channel.id));
+            const name = document.createElement('span');
+            name.textContent = getDisplayName(channel);
+            label.append(checkbox, name);
+
+            const track = document.createElement('div');
+            track.className = 'guide-track';
+            track.style.width = trackWidth;
+            (programmesById.get(channel.id) || []).forEach(programme => {
+                const block = document.createElement('div');
+                block.className = `guide-programme${programme.start <= now && now < programme.end ? ' now' : ''}`;
+                block.style.left = offset(programme.start);
+                block.style.width = percent(Math.min(programme.end, schedule.end) - Math.max(programme.start, schedule.start));
+                block.textContent = programme.title;
+                block.title = [
+                    `${formatGuideTime(programme.start)} - ${formatGuideTime(programme.end)}`,
+                    programme.title,
+                    programme.subTitle,
+                    programme.description
+                ].filter(Boolean).join('\n');
+                track.appendChild(block);
+            });
+            if (now >= schedule.start && now < schedule.end) {
+                const nowLine = document.createElement('div');
+                nowLine.className = 'guide-now';
+                nowLine.style.left = offset(now);
+                track.appendChild(nowLine);
+            }
+
+            row.append(label, track);
+            fragment.appendChild(row);
+        });
+        guideRowsEl.appendChild(fragment);
+    }
+
+    /**
+     * Fetches the guide's schedule window, refreshing it once the window has moved on.
+     */
+    function fetchSchedule() {
+        return fetch(`${API_URL}/api/schedule`)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(data => {
+                schedule = data;
+                renderChannels();
+            })
+            .catch(error => showError(`Could not load the TV guide: ${error.message}`));
+    }
+
+    function setViewMode(mode) {
+        viewMode = mode;
+        channelListEl.style.display = mode === 'list' ? '' : 'none';
+        guideEl.style.display = mode === 'guide' ? '' : 'none';
+        listViewBtn.classList.toggle('active', mode === 'list');
+        guideViewBtn.classList.toggle('active', mode === 'guide');
+        if (mode === 'guide' && !schedule) {
+            fetchSchedule();
+        }
+        renderChannels();
+    }
+
+    function refreshGuide() {
+        if (viewMode !== 'guide' || !schedule) return;
+        // The window opens at the last half hour, so fetch a new one once that has moved on
+        if (Date.now() - schedule.start >= 60 * 60 * 1000) {
+            fetchSchedule();
+        } else {
+            renderChannels();
+        }
+    }
+
     /**
      * Toggles the selection state of a channel.
      */
@@ -114,6 +713,11 @@ document.addEventListener('DOMContentLoaded', () => {
 
     function handleReset() {
         selectedChannelIds = allChannels.map(c => c.id);
+        enabledCatalogIds = allCatalogs.map(c => c.id);
+        newChannelIds = [];
+        channelSettings = {};
+        showNotice([]);
+        renderCatalogs();
         searchInput.value = '';
         renderChannels();
         updateManifestUrl();
@@ -122,18 +726,53 @@ document.addEventListener('DOMContentLoaded', () => {
     // --- Initialization ---
 
     function initSortable() {
-        sortable = new Sortable(channelListEl, {
+        new Sortable(catalogListEl, {
             animation: 150,
             ghostClass: 'dragging',
             onEnd: (evt) => {
-                // Update the selectedChannelIds array based on the new DOM order
-                const newOrder = Array.from(evt.to.children)
+                enabledCatalogIds = Array.from(evt.to.children)
                     .map(el => el.dataset.id)
-                    .filter(id => selectedChannelIds.includes(id));
-                selectedChannelIds = newOrder;
+                    .filter(id => enabledCatalogIds.includes(id));
                 updateManifestUrl();
             }
         });
+        sortable = new Sortable(channelListEl, {
+            animation: 150,
+            ghostClass: 'dragging',
+            // Keep the inline editors usable instead of starting a drag
+            filter: '.channel-edit',
+            preventOnFilter: false,
+            onEnd: handleChannelReorder
+        });
+        guideSortable = new Sortable(guideRowsEl, {
+            animation: 150,
+            ghostClass: 'dragging',
+            handle: '.guide-channel',
+            onEnd: handleChannelReorder
+        });
+    }
+
+    /**
+     * Updates the selectedChannelIds array based on the new DOM order of the list or guide.
+     * Selected channels hidden by the search keep their place.
+     */
+    function handleChannelReorder(evt) {
+        const visibleOrder = Array.from(evt.to.children)
+            .map(el => el.dataset.id)
+            .filter(id => selectedChannelIds.includes(id));
+        let next = 0;
+        selectedChannelIds = selectedChannelIds.map(id => (visibleOrder.includes(id) ? visibleOrder[next++] : id));
+        updateManifestUrl();
+    }
+
+    function showNotice(messages) {
+        noticeDiv.innerHTML = '';
+        messages.forEach(message => {
+            const line = document.createElement('div');
+            line.textContent = message;
+            noticeDiv.appendChild(line);
+        });
+        noticeDiv.style.display = messages.length ? 'block' : 'none';
     }
 
     function showError(message) {
@@ -145,29 +784,69 @@ document.addEventListener('DOMContentLoaded', () => {
         errorDiv.style.display = 'none';
     }
 
-    // Fetch initial channel data
-    fetch(`${API_URL}/catalog/tv/nzfreeview.json`)
-        .then(response => {
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            return response.json();
-        })
-        .then(data => {
-            allChannels = (data.metas || []).map(c => ({
+    /**
+     * Fetches every page of the catalog (the addon returns 100 channels per page).
+     */
+    function fetchAllChannels(skip = 0, metas = []) {
+        const path = skip ? `/catalog/tv/nzfreeview/skip=${skip}.json` : '/catalog/tv/nzfreeview.json';
+        return fetch(`${API_URL}${path}`)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(data => {
+                const page = data.metas || [];
+                const all = metas.concat(page);
+                return page.length >= CATALOG_PAGE_SIZE ? fetchAllChannels(skip + page.length, all) : all;
+            });
+    }
+
+    /**
+     * Fetches the catalogs the addon currently offers from the unconfigured manifest.
+     */
+    function fetchCatalogs() {
+        return fetch(`${API_URL}/api/catalogs`)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(body => body.catalogs || []);
+    }
+
+    populateTimezones();
+
+    // Fetch initial catalog and channel data, then restore the config named in the page URL
+    // (/configure/?id=<id> for saved configs, ?config=<config> for full install URLs)
+    Promise.all([fetchCatalogs(), fetchAllChannels()])
+        .then(([catalogs, metas]) => {
+            allCatalogs = catalogs;
+            enabledCatalogIds = catalogs.map(c => c.id);
+
+            allChannels = metas.map(c => ({
                 id: c.id.replace('nzfreeview-', ''),
                 name: c.name,
                 logo: c.logo,
                 poster: c.poster,
+                chno: c.chno,
             }));
             
             // Initially, all channels are selected in their default order
             selectedChannelIds = allChannels.map(c => c.id);
             
+            renderCatalogs();
             renderChannels();
             updateManifestUrl();
             initSortable();
             hideError();
+
+            const params = new URLSearchParams(window.location.search);
+            if (params.get('id') || params.get('config')) {
+                return loadConfigSource({ id: params.get('id'), encoded: params.get('config') });
+            }
         })
         .catch(error => {
             console.error('Error fetching channel list:', error);
@@ -179,6 +858,28 @@ document.addEventListener('DOMContentLoaded', () => {
     selectAllBtn.addEventListener('click', handleSelectAll);
     deselectAllBtn.addEventListener('click', handleDeselectAll);
     resetBtn.addEventListener('click', handleReset);
+    saveConfigBtn.addEventListener('click', handleSave);
+    loadConfigBtn.addEventListener('click', handleLoad);
+    loadSourceInput.addEventListener('keydown', event => {
+        if (event.key === 'Enter') handleLoad();
+    });
+    exportConfigBtn.addEventListener('click', handleExport);
+    importConfigBtn.addEventListener('click', () => importFileInput.click());
+    importFileInput.addEventListener('change', handleImport);
+    preferredStreamSelect.addEventListener('change', updateManifestUrl);
+    offlineChannelsSelect.addEventListener('change', updateManifestUrl);
+    newChannelsSelect.addEventListener('change', updateManifestUrl);
+    timezoneSelect.addEventListener('change', () => {
+        updateManifestUrl();
+        refreshGuide();
+    });
+    hour12Select.addEventListener('change', () => {
+        updateManifestUrl();
+        refreshGuide();
+    });
+    listViewBtn.addEventListener('click', () => setViewMode('list'));
+    guideViewBtn.addEventListener('click', () => setViewMode('guide'));
+    setInterval(refreshGuide, GUIDE_REFRESH_INTERVAL);
     toggleManifestUrlBtn.addEventListener('click', () => {
         const isHidden = manifestUrlSpan.style.display === 'none';
         manifestUrlSpan.style.display = isHidden ? '' : 'none';
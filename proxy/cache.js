@@ -0,0 +1,146 @@
+// In-process cache for /proxy/* responses, so viewers of the same channel share upstream fetches.
+// Upstream responses are kept as received (playlists are rewritten per request afterwards, as the
+// rewritten URIs carry each viewer's token). Segments are kept for a short while and live playlists
+// only briefly; the cache is bounded by total size with the least recently used entries evicted
+// first. Concurrent requests for something that is already being fetched wait for that fetch.
+const { isPlaylistResponse } = require('./hls');
+
+const maxMB = parseInt(process.env.PROXY_CACHE_MAX_MB, 10);
+
+const CACHE_CONFIG = {
+    // Total memory for cached responses; 0 disables the cache
+    MAX_BYTES: (Number.isNaN(maxMB) ? 128 : maxMB) * 1024 * 1024,
+    SEGMENT_TTL: (parseInt(process.env.PROXY_CACHE_SEGMENT_TTL, 10) || 60) * 1000,
+    PLAYLIST_TTL: 2 * 1000, // Well under a segment, so live playlists never fall behind
+    MAX_ENTRY_FRACTION: 0.1 // Larger responses are passed through uncached
+};
+
+// key -> { statusCode, headers, body, size, expires }, least recently used first
+const entries = new Map();
+// key -> promise of the response a request in flight will get, or null if it fails
+const pending = new Map();
+const stats = { hits: 0, misses: 0, coalesced: 0, evictions: 0 };
+let totalBytes = 0;
+
+function isCacheEnabled() {
+    return CACHE_CONFIG.MAX_BYTES > 0;
+}
+
+// Responses depend on the forwarded headers too, e.g. a Referer a CDN checks
+function getCacheKey(req) {
+    return `${req.proxyTarget.href}\n${JSON.stringify(req.proxyHeaders || {})}`;
+}
+
+function removeEntry(key) {
+    const entry = entries.get(key);
+    if (!entry) return;
+    entries.delete(key);
+    totalBytes -= entry.size;
+}
+
+function lookup(key) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.expires <= Date.now()) {
+        removeEntry(key);
+        return null;
+    }
+    // Re-inserting moves it to the most recently used end
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry;
+}
+
+function makeRoom(size) {
+    const now = Date.now();
+    entries.forEach((entry, key) => {
+        if (entry.expires <= now) removeEntry(key);
+    });
+    for (const key of entries.keys()) {
+        if (totalBytes + size <= CACHE_CONFIG.MAX_BYTES) break;
+        removeEntry(key);
+        stats.evictions++;
+    }
+}
+
+function store(key, response, pathname) {
+    const size = response.body.length;
+    if (response.statusCode !== 200 || size > CACHE_CONFIG.MAX_BYTES * CACHE_CONFIG.MAX_ENTRY_FRACTION) return;
+
+    const ttl = isPlaylistResponse(response.headers['content-type'], pathname) ? CACHE_CONFIG.PLAYLIST_TTL : CACHE_CONFIG.SEGMENT_TTL;
+    // Cookies are meant for whoever made the request, not everyone it is shared with
+    const { 'set-cookie': cookies, ...headers } = response.headers;
+    removeEntry(key);
+    makeRoom(size);
+    entries.set(key, { statusCode: response.statusCode, headers, body: response.body, size, expires: Date.now() + ttl });
+    totalBytes += size;
+}
+
+// Express middleware for /proxy/*, after proxyGuard. Serves cached responses with
+// send(req, res, response) and marks misses with req.proxyCache so the proxy hands the upstream
+// response to cacheResponse. Range and HEAD requests always go upstream.
+function proxyCache(send) {
+    return async (req, res, next) => {
+        if (!isCacheEnabled() || req.method !== 'GET' || req.headers.range) return next();
+
+        const key = getCacheKey(req);
+        const cached = lookup(key);
+        if (cached) {
+            stats.hits++;
+            res.setHeader('X-Cache', 'HIT');
+            send(req, res, cached);
+            return;
+        }
+
+        if (pending.has(key)) {
+            stats.coalesced++;
+            const response = await pending.get(key);
+            if (response) {
+                res.setHeader('X-Cache', 'HIT');
+                send(req, res, response);
+                return;
+            }
+            // The shared fetch failed, so this request tries on its own
+            return next();
+        }
+
+        stats.misses++;
+        let resolve;
+        let settled = false;
+        pending.set(key, new Promise(done => { resolve = done; }));
+        req.proxyCache = {
+            key,
+            settle(response) {
+                if (settled) return;
+                settled = true;
+                pending.delete(key);
+                resolve(response);
+            }
+        };
+        // Requests that end without an upstream response release anyone waiting on them
+        res.on('close', () => req.proxyCache.settle(null));
+        res.setHeader('X-Cache', 'MISS');
+        next();
+    };
+}
+
+// Store a complete upstream response fetched for a cache miss and pass it to waiting requests
+function cacheResponse(req, response) {
+    if (!req.proxyCache) return;
+    store(req.proxyCache.key, response, req.proxyTarget.pathname);
+    req.proxyCache.settle(response);
+}
+
+function getCacheStats() {
+    const lookups = stats.hits + stats.coalesced + stats.misses;
+    return {
+        enabled: isCacheEnabled(),
+        entries: entries.size,
+        bytes: totalBytes,
+        maxBytes: CACHE_CONFIG.MAX_BYTES,
+        ...stats,
+        hitRate: lookups ? Math.round((stats.hits + stats.coalesced) / lookups * 1000) / 1000 : null
+    };
+}
+
+module.exports = { CACHE_CONFIG, proxyCache, cacheResponse, getCacheStats };
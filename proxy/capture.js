@@ -0,0 +1,210 @@
+// Live HLS capture: follows one rendition of a channel's stream and downloads each new segment as it
+// appears. Used by the timeshift buffer and scheduled recordings. Upstream requests carry the same
+// channel headers the proxy forwards, and hosts resolving to private addresses are refused like on
+// /proxy/*.
+const { log, withoutRequestId } = require('../addon/logger');
+const { recordUpstreamFailure } = require('../addon/metrics');
+const { fetchWithRetry } = require('../addon/httpClient');
+const { parsePlaylist, isMasterPlaylist, getVariants, getAttribute } = require('./hls');
+const { ALLOWED_HEADERS, assertPublicHost } = require('./guard');
+
+const CAPTURE_CONFIG = {
+    FETCH_TIMEOUT: 10 * 1000,
+    MIN_POLL_INTERVAL: 2 * 1000,
+    MAX_POLL_INTERVAL: 10 * 1000,
+    MAX_FAILURES: 5 // Consecutive playlist failures before the capture gives up
+};
+
+class CaptureError extends Error {
+    constructor(message, reason) {
+        super(message);
+        this.name = 'CaptureError';
+        this.reason = reason;
+    }
+}
+
+// The channel's headers, limited to the ones the proxy would forward
+function getUpstreamHeaders(channelData) {
+    const headers = {};
+    Object.entries(channelData.headers || {}).forEach(([key, value]) => {
+        if (ALLOWED_HEADERS.includes(key.toLowerCase())) headers[key] = value;
+    });
+    return headers;
+}
+
+async function fetchUpstream(url, headers, checkedHosts) {
+    const { host, hostname } = new URL(url);
+    if (!checkedHosts.has(host)) {
+        await assertPublicHost(hostname);
+        checkedHosts.add(host);
+    }
+    // Polling tries again soon anyway, so one retry is enough
+    return fetchWithRetry(url, { headers, timeout: CAPTURE_CONFIG.FETCH_TIMEOUT, retries: 1 });
+}
+
+// The segments of a media playlist: [{ sequence, url, duration, programDateTime, map, discontinuity }]
+function getSegments(playlist, baseUrl) {
+    const segments = [];
+    let sequence = 0;
+    let duration = null;
+    let programDateTime = null;
+    let map = null;
+    let discontinuity = false;
+
+    playlist.lines.forEach(line => {
+        if (line.type === 'tag') {
+            if (line.name === 'EXT-X-MEDIA-SEQUENCE') sequence = parseInt(line.value, 10) || 0;
+            if (line.name === 'EXTINF') duration = parseFloat(line.value) || 0;
+            if (line.name === 'EXT-X-PROGRAM-DATE-TIME') programDateTime = Date.parse(line.value) || null;
+            if (line.name === 'EXT-X-DISCONTINUITY') discontinuity = true;
+            if (line.name === 'EXT-X-MAP') map = new URL(getAttribute(line, 'URI'), baseUrl).href;
+            if (line.name === 'EXT-X-KEY' && getAttribute(line, 'METHOD') !== 'NONE') {
+                throw new CaptureError('Encrypted streams cannot be captured', 'encrypted');
+            }
+            return;
+        }
+        if (line.type !== 'uri' || duration === null) return;
+        segments.push({ sequence, url: new URL(line.uri, baseUrl).href, duration, programDateTime, map, discontinuity });
+        sequence++;
+        duration = null;
+        programDateTime = null;
+        discontinuity = false;
+    });
+    return segments;
+}
+
+function getTargetDuration(playlist) {
+    const tag = playlist.lines.find(line => line.type === 'tag' && line.name === 'EXT-X-TARGETDURATION');
+    return tag ? parseFloat(tag.value) || 6 : 6;
+}
+
+// Start capturing a channel. onSegment({ data, contentType, duration, start, init, discontinuity })
+// is awaited for every new segment in order; `init` is the fMP4 initialisation segment
+// ({ url, data, contentType }) when the rendition has one. onStop(error) is called once when the
+// capture ends, with the error that ended it or null after stop(). The highest-quality variant is
+// captured so one copy of the stream is kept. `resumeAfter` is when the last segment already stored
+// by the caller ends: the capture carries on from there instead of storing the live window again.
+// Without it the capture starts at the live edge.
+function startCapture({ channelId, channelData, onSegment, onStop = () => {}, resumeAfter = null }) {
+    const headers = getUpstreamHeaders(channelData);
+    const checkedHosts = new Set();
+    const state = {
+        stopped: false,
+        timer: null,
+        mediaUrl: null,
+        lastSequence: null,
+        // When the last segment handed to onSegment ends, to pick up after it when sequences can't be used
+        lastEnd: resumeAfter,
+        init: null,
+        failures: 0,
+        // Set when segments were missed, so the next one is marked as a discontinuity
+        gap: true
+    };
+
+    const finish = (error) => {
+        if (state.stopped) return;
+        state.stopped = true;
+        clearTimeout(state.timer);
+        onStop(error);
+    };
+
+    async function resolveMediaUrl() {
+        const res = await fetchUpstream(channelData.mjh_master, headers, checkedHosts);
+        const baseUrl = res.url || channelData.mjh_master;
+        const playlist = parsePlaylist(await res.text());
+        if (!isMasterPlaylist(playlist)) return baseUrl;
+
+        const [best] = getVariants(playlist, baseUrl);
+        if (!best) throw new CaptureError('Master playlist has no variants', 'no-variants');
+        return best.url;
+    }
+
+    async function loadInit(url) {
+        if (state.init && state.init.url === url) return state.init;
+        const res = await fetchUpstream(url, headers, checkedHosts);
+        state.init = { url, data: Buffer.from(await res.arrayBuffer()), contentType: res.headers.get('content-type') || 'video/mp4' };
+        return state.init;
+    }
+
+    async function poll() {
+        if (!state.mediaUrl) state.mediaUrl = await resolveMediaUrl();
+
+        const res = await fetchUpstream(state.mediaUrl, headers, checkedHosts);
+        const playlist = parsePlaylist(await res.text());
+        const segments = getSegments(playlist, res.url || state.mediaUrl);
+        const now = Date.now();
+        // A restarted upstream stream can start its sequence numbers again
+        if (segments.length && state.lastSequence !== null && segments[segments.length - 1].sequence < state.lastSequence) {
+            state.lastSequence = null;
+            state.gap = true;
+        }
+
+        // Without EXT-X-PROGRAM-DATE-TIME, segments are dated back from the live edge
+        let remaining = segments.reduce((total, segment) => total + segment.duration, 0);
+        const dated = segments.map(segment => {
+            remaining -= segment.duration;
+            return { ...segment, start: segment.programDateTime || now - (remaining + segment.duration) * 1000 };
+        });
+        if (state.lastSequence === null && dated.length) {
+            // Skip what was stored before (dates from the live edge are approximate, so a segment counts
+            // as stored when its first half is), or everything but the newest segment on a fresh start
+            const seen = state.lastEnd === null
+                ? dated.slice(0, -1)
+                : dated.filter(segment => segment.start + segment.duration * 500 <= state.lastEnd);
+            state.lastSequence = seen.length ? seen[seen.length - 1].sequence : dated[0].sequence - 1;
+        }
+
+        for (const segment of dated) {
+            if (segment.sequence <= state.lastSequence) continue;
+            if (state.stopped) return getTargetDuration(playlist);
+
+            if (segment.sequence > state.lastSequence + 1) state.gap = true;
+            const segmentRes = await fetchUpstream(segment.url, headers, checkedHosts);
+            await onSegment({
+                data: Buffer.from(await segmentRes.arrayBuffer()),
+                contentType: segmentRes.headers.get('content-type') || 'video/mp2t',
+                duration: segment.duration,
+                start: segment.start,
+                init: segment.map ? await loadInit(segment.map) : null,
+                discontinuity: segment.discontinuity || state.gap
+            });
+            state.lastSequence = segment.sequence;
+            state.lastEnd = segment.start + segment.duration * 1000;
+            state.gap = false;
+        }
+        return getTargetDuration(playlist);
+    }
+
+    async function run() {
+        if (state.stopped) return;
+        let interval = CAPTURE_CONFIG.MIN_POLL_INTERVAL;
+        try {
+            const targetDuration = await poll();
+            state.failures = 0;
+            interval = Math.min(Math.max(targetDuration * 1000 / 2, CAPTURE_CONFIG.MIN_POLL_INTERVAL), CAPTURE_CONFIG.MAX_POLL_INTERVAL);
+        } catch (error) {
+            state.failures++;
+            state.gap = true;
+            recordUpstreamFailure('capture');
+            state.mediaUrl = null; // The variant URL may have changed, so start again from the master
+            log('WARN', 'CAPTURE', `Capture of ${channelId} failed`, { error: error.message, failures: state.failures });
+            if (error instanceof CaptureError && error.reason === 'encrypted') return finish(error);
+            if (state.failures >= CAPTURE_CONFIG.MAX_FAILURES) return finish(error);
+        }
+        if (!state.stopped) state.timer = setTimeout(run, interval);
+    }
+
+    log('INFO', 'CAPTURE', `Started capturing ${channelId}`);
+    // Captures are usually started while handling a request but run long after it
+    withoutRequestId(run);
+
+    return {
+        stop() {
+            if (state.stopped) return;
+            log('INFO', 'CAPTURE', `Stopped capturing ${channelId}`);
+            finish(null);
+        }
+    };
+}
+
+module.exports = { CAPTURE_CONFIG, CaptureError, getUpstreamHeaders, startCapture };
@@ -0,0 +1,263 @@
+// Access control for the /proxy/* route.
+//
+// Every request must carry a signed token (see tokens.js) scoped to one channel. The proxy then only
+// fetches from that channel's stream host or the host the token was issued for, plus hosts referenced by
+// playlists it has already proxied for the channel (variant playlists and segments often live on another CDN).
+// Targets that resolve to private, loopback or link-local addresses (including IPv4 addresses embedded
+// in IPv6 ones) are always refused, both before the request and again when the socket connects so DNS
+// rebinding cannot slip through.
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const { log } = require('../addon/logger');
+const { getTVData } = require('../addon/tvdata');
+const { verifyProxyToken } = require('./tokens');
+
+const GUARD_CONFIG = {
+    LEARNED_HOST_TTL: 6 * 60 * 60 * 1000, // 6 hours
+    MAX_LEARNED_HOSTS: 1000,
+    // Only for home setups whose M3U sources live on the LAN; never enable on a public deployment
+    ALLOW_PRIVATE: process.env.PROXY_ALLOW_PRIVATE === 'true'
+};
+
+// Request headers a channel may ask the proxy to send upstream
+const ALLOWED_HEADERS = ['user-agent', 'referer', 'origin', 'x-forwarded-for', 'accept', 'accept-language'];
+
+const BLOCKED_RANGES = new net.BlockList();
+[
+    ['0.0.0.0', 8],
+    ['10.0.0.0', 8],
+    ['100.64.0.0', 10],
+    ['127.0.0.0', 8],
+    ['169.254.0.0', 16],
+    ['172.16.0.0', 12],
+    ['192.0.0.0', 24],
+    ['192.168.0.0', 16],
+    ['198.18.0.0', 15],
+    ['224.0.0.0', 4],
+    ['240.0.0.0', 4]
+].forEach(([base, bits]) => BLOCKED_RANGES.addSubnet(base, bits, 'ipv4'));
+[
+    ['::', 128],
+    ['::1', 128],
+    ['fc00::', 7], // Unique local
+    ['fe80::', 10], // Link-local
+    ['ff00::', 8] // Multicast
+].forEach(([base, bits]) => BLOCKED_RANGES.addSubnet(base, bits, 'ipv6'));
+
+// IPv6 prefixes whose last 32 bits are an IPv4 address that is what actually gets reached:
+// IPv4-mapped, IPv4-compatible (deprecated, but still routed by some stacks) and NAT64
+const EMBEDDED_IPV4_PREFIXES = ['0:0:0:0:0:ffff', '0:0:0:0:0:0', '64:ff9b:0:0:0:0'];
+
+class ProxyGuardError extends Error {
+    constructor(message, reason) {
+        super(message);
+        this.name = 'ProxyGuardError';
+        this.code = 'EPROXYGUARD';
+        this.reason = reason;
+    }
+}
+
+// The eight 16-bit groups of an IPv6 address, with a trailing dotted IPv4 part converted to two groups
+function getIPv6Groups(address) {
+    let text = address.toLowerCase().replace(/%.*$/, '');
+    const dotted = /(\d+)\.(\d+)\.(\d+)\.(\d+)$/.exec(text);
+    if (dotted) {
+        const [a, b, c, d] = dotted.slice(1).map(Number);
+        text = `${text.slice(0, dotted.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+    }
+    const [head, tail] = text.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const missing = tail === undefined ? 0 : 8 - headGroups.length - tailGroups.length;
+    return [...headGroups, ...Array(missing).fill('0'), ...tailGroups].map(group => parseInt(group, 16));
+}
+
+// The IPv4 address an IPv6 address stands for, or null if it doesn't embed one
+function getEmbeddedIPv4(address) {
+    const groups = getIPv6Groups(address);
+    const prefix = groups.slice(0, 6).map(group => group.toString(16)).join(':');
+    if (!EMBEDDED_IPV4_PREFIXES.includes(prefix)) return null;
+    return [groups[6] >> 8, groups[6] & 255, groups[7] >> 8, groups[7] & 255].join('.');
+}
+
+function isBlockedAddress(address) {
+    return !GUARD_CONFIG.ALLOW_PRIVATE && isPrivateAddress(address);
+}
+
+function isPrivateAddress(address) {
+    if (net.isIPv4(address)) {
+        return BLOCKED_RANGES.check(address, 'ipv4');
+    }
+    if (net.isIPv6(address)) {
+        // :: and ::1 fall in the compatible prefix too, but are blocked as themselves
+        if (BLOCKED_RANGES.check(address.replace(/%.*$/, ''), 'ipv6')) return true;
+        const embedded = getEmbeddedIPv4(address);
+        return embedded !== null && isPrivateAddress(embedded);
+    }
+    return true; // Not an IP address at all
+}
+
+// dns.lookup replacement for the proxy's agents: refuses to connect to private addresses
+function safeLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) return callback(error);
+        const addresses = Array.isArray(address) ? address : [{ address, family }];
+        const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+        if (blocked) {
+            return callback(new ProxyGuardError(`${hostname} resolves to private address ${blocked.address}`, 'private-address'));
+        }
+        callback(null, address, family);
+    });
+}
+
+const agents = {
+    'http:': new http.Agent({ keepAlive: true, lookup: safeLookup }),
+    'https:': new https.Agent({ keepAlive: true, lookup: safeLookup })
+};
+
+// Hosts learned from proxied playlists: channel ID -> (host -> expiry timestamp)
+const learnedHosts = new Map();
+let learnedHostCount = 0;
+
+function getHost(url) {
+    try {
+        return new URL(url).host.toLowerCase();
+    } catch (error) {
+        return null;
+    }
+}
+
+function evictOldestLearnedHost() {
+    let oldest = null;
+    learnedHosts.forEach((hosts, channelId) => {
+        hosts.forEach((expiry, host) => {
+            if (!oldest || expiry < oldest.expiry) oldest = { channelId, host, expiry };
+        });
+    });
+    if (oldest) {
+        learnedHosts.get(oldest.channelId).delete(oldest.host);
+        learnedHostCount--;
+    }
+}
+
+// Allow a host referenced by a playlist that was proxied for the channel
+function allowHost(host, channelId) {
+    if (!host || !channelId) return;
+    host = host.toLowerCase();
+    if (!learnedHosts.has(channelId)) learnedHosts.set(channelId, new Map());
+    const hosts = learnedHosts.get(channelId);
+
+    if (!hosts.has(host)) {
+        if (learnedHostCount >= GUARD_CONFIG.MAX_LEARNED_HOSTS) evictOldestLearnedHost();
+        learnedHostCount++;
+    }
+    hosts.set(host, Date.now() + GUARD_CONFIG.LEARNED_HOST_TTL);
+}
+
+async function isAllowedHost(host, channelId) {
+    const hosts = learnedHosts.get(channelId);
+    const expiry = hosts && hosts.get(host);
+    if (expiry && expiry > Date.now()) return true;
+    if (expiry) {
+        hosts.delete(host);
+        learnedHostCount--;
+    }
+
+    const channel = (await getTVData())[channelId];
+    return Boolean(channel) && getHost(channel.mjh_master) === host;
+}
+
+// Resolve up front so a private target gets a clear 403 instead of a connection error
+function assertPublicHost(hostname) {
+    const bare = hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(bare)) {
+        if (isBlockedAddress(bare)) {
+            return Promise.reject(new ProxyGuardError(`Private address ${bare} is not allowed`, 'private-address'));
+        }
+        return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+        safeLookup(bare, { all: true }, (error) => (error ? reject(error) : resolve()));
+    });
+}
+
+function parseProxyHeaders(value) {
+    if (!value) return {};
+    let headers;
+    try {
+        headers = JSON.parse(decodeURIComponent(value));
+    } catch (error) {
+        throw new ProxyGuardError('Malformed headers parameter', 'bad-headers');
+    }
+    if (!headers || typeof headers !== 'object' || Array.isArray(headers)) {
+        throw new ProxyGuardError('Malformed headers parameter', 'bad-headers');
+    }
+    const rejected = Object.keys(headers).filter(key => !ALLOWED_HEADERS.includes(key.toLowerCase()));
+    if (rejected.length) {
+        throw new ProxyGuardError(`Headers not allowed: ${rejected.join(', ')}`, 'header-not-allowed');
+    }
+    return headers;
+}
+
+// Express middleware: validates the token, target and headers, then exposes them as
+// req.proxyTarget (URL), req.proxyChannelId, req.proxyToken (the verified token) and req.proxyHeaders
+// for the proxy itself.
+async function proxyGuard(req, res, next) {
+    const encodedUrl = req.params[0];
+    try {
+        let target;
+        try {
+            target = new URL(decodeURIComponent(encodedUrl || ''));
+        } catch (error) {
+            throw new ProxyGuardError('Invalid URL for proxy', 'invalid-url');
+        }
+        if (!agents[target.protocol]) {
+            throw new ProxyGuardError(`Protocol ${target.protocol} is not allowed`, 'invalid-url');
+        }
+        if (target.username || target.password) {
+            throw new ProxyGuardError('Credentials in proxy URLs are not allowed', 'invalid-url');
+        }
+
+        const token = verifyProxyToken(req.query.token);
+        if (token.error) {
+            throw new ProxyGuardError('Missing, invalid or expired proxy token', token.error);
+        }
+
+        const headers = parseProxyHeaders(req.query.headers);
+
+        const targetHost = target.host.toLowerCase();
+        if (targetHost !== token.host && !(await isAllowedHost(targetHost, token.channelId))) {
+            throw new ProxyGuardError(`Host ${target.host} is not allowed for channel ${token.channelId}`, 'host-not-allowed');
+        }
+        await assertPublicHost(target.hostname);
+
+        req.proxyTarget = target;
+        req.proxyChannelId = token.channelId;
+        req.proxyToken = token;
+        req.proxyHeaders = headers;
+        next();
+    } catch (error) {
+        if (!(error instanceof ProxyGuardError)) {
+            log('ERROR', 'PROXY_GUARD', 'Could not validate proxy target', { error: error.message });
+            return res.status(502).send('Proxy Error');
+        }
+        log('WARN', 'PROXY_GUARD', 'Rejected proxy request', {
+            reason: error.reason,
+            error: error.message,
+            ip: req.ip
+        });
+        res.status(403).json({ error: 'Forbidden', reason: error.reason, message: error.message });
+    }
+}
+
+module.exports = {
+    ProxyGuardError,
+    ALLOWED_HEADERS,
+    agents,
+    proxyGuard,
+    allowHost,
+    assertPublicHost,
+    isPrivateAddress
+};
@@ -0,0 +1,218 @@
+// Minimal HLS playlist parser and serializer (RFC 8216).
+//
+// Parsing is lossless: tags keep their attribute lists in order with the raw (possibly quoted) values,
+// so serializing an unmodified playlist gives back the same lines. This lets the proxy rewrite every URI,
+// both URI lines and URI="..." attributes in tags such as EXT-X-KEY, EXT-X-MAP, EXT-X-MEDIA and
+// EXT-X-I-FRAME-STREAM-INF, without disturbing anything else.
+
+// Tags whose value is an attribute list (the rest carry a plain value, e.g. #EXTINF:6.0,)
+const ATTRIBUTE_LIST_TAGS = [
+    'EXT-X-KEY',
+    'EXT-X-SESSION-KEY',
+    'EXT-X-MAP',
+    'EXT-X-MEDIA',
+    'EXT-X-STREAM-INF',
+    'EXT-X-I-FRAME-STREAM-INF',
+    'EXT-X-SESSION-DATA',
+    'EXT-X-DATERANGE',
+    'EXT-X-PART',
+    'EXT-X-PART-INF',
+    'EXT-X-PRELOAD-HINT',
+    'EXT-X-RENDITION-REPORT',
+    'EXT-X-SERVER-CONTROL',
+    'EXT-X-SKIP',
+    'EXT-X-START',
+    'EXT-X-CONTENT-STEERING'
+];
+
+// Split "A=1,B="x,y",C=z" into [[A, 1], [B, "x,y"], [C, z]] keeping quotes on raw values
+function parseAttributeList(value) {
+    const attributes = [];
+    let i = 0;
+    while (i < value.length) {
+        const eq = value.indexOf('=', i);
+        if (eq === -1) break;
+        const key = value.slice(i, eq).trim();
+        let end = eq + 1;
+        if (value[end] === '"') {
+            end = value.indexOf('"', end + 1);
+            end = end === -1 ? value.length : end + 1;
+        }
+        const comma = value.indexOf(',', end);
+        end = comma === -1 ? value.length : comma;
+        attributes.push([key, value.slice(eq + 1, end).trim()]);
+        i = end + 1;
+    }
+    return attributes;
+}
+
+function serializeAttributeList(attributes) {
+    return attributes.map(([key, raw]) => `${key}=${raw}`).join(',');
+}
+
+function unquote(raw) {
+    return raw.length >= 2 && raw[0] === '"' && raw[raw.length - 1] === '"' ? raw.slice(1, -1) : raw;
+}
+
+function parsePlaylist(text) {
+    const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).map(rawLine => {
+        const line = rawLine.trim();
+        if (!line) {
+            return { type: 'blank' };
+        }
+        if (line.startsWith('#EXT')) {
+            const colon = line.indexOf(':');
+            const name = colon === -1 ? line.slice(1) : line.slice(1, colon);
+            const value = colon === -1 ? null : line.slice(colon + 1);
+            if (value !== null && ATTRIBUTE_LIST_TAGS.includes(name)) {
+                return { type: 'tag', name, attributes: parseAttributeList(value) };
+            }
+            return { type: 'tag', name, value };
+        }
+        if (line.startsWith('#')) {
+            return { type: 'comment', text: line };
+        }
+        return { type: 'uri', uri: line };
+    });
+
+    // Trailing newline produces one empty entry we don't need to keep
+    if (lines.length && lines[lines.length - 1].type === 'blank') lines.pop();
+    return { lines };
+}
+
+function serializePlaylist(playlist) {
+    return playlist.lines.map(line => {
+        switch (line.type) {
+            case 'uri':
+                return line.uri;
+            case 'comment':
+                return line.text;
+            case 'tag':
+                if (line.attributes) return `#${line.name}:${serializeAttributeList(line.attributes)}`;
+                return line.value === null ? `#${line.name}` : `#${line.name}:${line.value}`;
+            default:
+                return '';
+        }
+    }).join('\n') + '\n';
+}
+
+function getAttribute(line, key) {
+    const attribute = (line.attributes || []).find(([name]) => name === key);
+    return attribute ? unquote(attribute[1]) : undefined;
+}
+
+function isMasterPlaylist(playlist) {
+    return playlist.lines.some(line => line.type === 'tag' && line.name === 'EXT-X-STREAM-INF');
+}
+
+// Variant streams of a master playlist, highest bandwidth first:
+// [{ url, bandwidth, width, height, frameRate, codecs }]
+function getVariants(playlist, baseUrl) {
+    const variants = [];
+    playlist.lines.forEach((line, index) => {
+        if (line.type !== 'tag' || line.name !== 'EXT-X-STREAM-INF') return;
+        const uriLine = playlist.lines.slice(index + 1).find(next => next.type === 'uri' || (next.type === 'tag' && next.name === 'EXT-X-STREAM-INF'));
+        if (!uriLine || uriLine.type !== 'uri') return;
+
+        let url;
+        try {
+            url = new URL(uriLine.uri, baseUrl).href;
+        } catch (error) {
+            return;
+        }
+        const [width, height] = (getAttribute(line, 'RESOLUTION') || '').split('x').map(Number);
+        variants.push({
+            url,
+            bandwidth: parseInt(getAttribute(line, 'AVERAGE-BANDWIDTH') || getAttribute(line, 'BANDWIDTH'), 10) || 0,
+            width: width || null,
+            height: height || null,
+            frameRate: parseFloat(getAttribute(line, 'FRAME-RATE')) || null,
+            codecs: getAttribute(line, 'CODECS') || null
+        });
+    });
+    return variants.sort((a, b) => b.bandwidth - a.bandwidth);
+}
+
+// Call rewrite(absoluteUrl, context) for every URI in the playlist and replace it with the result.
+// context is { tag } for URI attributes or { tag: null } for URI lines. URIs that are not http(s)
+// once resolved (e.g. skd:// or data: keys) are left untouched.
+function rewritePlaylistUris(playlist, baseUrl, rewrite) {
+    const resolve = (uri) => {
+        try {
+            const url = new URL(uri, baseUrl);
+            return /^https?:$/.test(url.protocol) ? url.href : null;
+        } catch (error) {
+            return null;
+        }
+    };
+
+    playlist.lines.forEach(line => {
+        if (line.type === 'uri') {
+            const url = resolve(line.uri);
+            if (url) line.uri = rewrite(url, { tag: null });
+        } else if (line.type === 'tag' && line.attributes) {
+            line.attributes.forEach(attribute => {
+                if (attribute[0] !== 'URI') return;
+                const url = resolve(unquote(attribute[1]));
+                if (url) attribute[1] = `"${rewrite(url, { tag: line.name })}"`;
+            });
+        }
+    });
+    return playlist;
+}
+
+// Whether an upstream response is a playlist, by its content type or failing that its path
+function isPlaylistResponse(contentType, pathname) {
+    return /mpegurl/i.test(contentType || '') || pathname.endsWith('.m3u8');
+}
+
+// Build a media playlist for stored segments ([{ id, start, duration, initId, discontinuity }],
+// oldest first). segmentUrl(name) gives the URL of a segment ("12") or init segment ("init-3").
+// Live playlists are EVENT playlists that grow; the rest are VOD playlists with an end tag.
+function buildMediaPlaylist(segments, { live, segmentUrl }) {
+    const hasInit = segments.some(segment => segment.initId);
+    const targetDuration = Math.ceil(Math.max(...segments.map(segment => segment.duration)));
+    const tag = (name, value = null) => ({ type: 'tag', name, value });
+    const lines = [
+        tag('EXTM3U'),
+        tag('EXT-X-VERSION', hasInit ? '6' : '3'),
+        tag('EXT-X-TARGETDURATION', String(targetDuration)),
+        tag('EXT-X-MEDIA-SEQUENCE', String(segments[0].id)),
+        tag('EXT-X-PLAYLIST-TYPE', live ? 'EVENT' : 'VOD')
+    ];
+
+    let initId = null;
+    segments.forEach((segment, index) => {
+        if (index > 0 && segment.discontinuity) lines.push(tag('EXT-X-DISCONTINUITY'));
+        if (segment.initId && segment.initId !== initId) {
+            initId = segment.initId;
+            lines.push({ type: 'tag', name: 'EXT-X-MAP', attributes: [['URI', `"${segmentUrl(`init-${initId}`)}"`]] });
+        }
+        if (index === 0 || segment.discontinuity) {
+            lines.push(tag('EXT-X-PROGRAM-DATE-TIME', new Date(segment.start).toISOString()));
+        }
+        lines.push(tag('EXTINF', `${segment.duration.toFixed(3)},`));
+        lines.push({ type: 'uri', uri: segmentUrl(String(segment.id)) });
+    });
+    if (!live) lines.push(tag('EXT-X-ENDLIST'));
+
+    return serializePlaylist({ lines });
+}
+
+// Convenience wrapper: parse, rewrite every URI and serialize
+function rewritePlaylist(text, baseUrl, rewrite) {
+    return serializePlaylist(rewritePlaylistUris(parsePlaylist(text), baseUrl, rewrite));
+}
+
+module.exports = {
+    parsePlaylist,
+    serializePlaylist,
+    parseAttributeList,
+    getAttribute,
+    isMasterPlaylist,
+    getVariants,
+    rewritePlaylistUris,
+    rewritePlaylist,
+    isPlaylistResponse,
+    buildMediaPlaylist
+};
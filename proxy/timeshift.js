@@ -0,0 +1,240 @@
+// Timeshift buffer. While a channel is watched through /proxy/*, its stream is captured (see
+// capture.js) into a rolling window on local disk, so recent and current programmes can be played
+// from the start. The buffer is bounded by age (TIMESHIFT_MINUTES) and total size (TIMESHIFT_MAX_MB);
+// the oldest segments are evicted first. Captures stop once nobody has watched the channel for a while.
+// Segments are only indexed in memory, so the directory is cleared on startup.
+const fs = require('fs/promises');
+const path = require('path');
+const { log } = require('../addon/logger');
+const { CACHE_DIR } = require('../addon/diskCache');
+const { getTVData } = require('../addon/tvdata');
+const { buildMediaPlaylist } = require('./hls');
+const { startCapture } = require('./capture');
+
+const TIMESHIFT_CONFIG = {
+    // Minutes of each watched channel to keep; 0 disables timeshift
+    WINDOW_MINUTES: parseInt(process.env.TIMESHIFT_MINUTES, 10) || 0,
+    DIR: process.env.TIMESHIFT_DIR || path.join(CACHE_DIR, 'timeshift'),
+    MAX_BYTES: (parseInt(process.env.TIMESHIFT_MAX_MB, 10) || 4096) * 1024 * 1024,
+    MAX_CHANNELS: parseInt(process.env.TIMESHIFT_MAX_CHANNELS, 10) || 3, // Channels captured at once
+    IDLE_TIMEOUT: 10 * 60 * 1000,
+    SWEEP_INTERVAL: 30 * 1000
+};
+
+// channelId -> { capture, starting, lastWatched, nextId, segments, inits }
+// segments: [{ id, start, duration, size, contentType, initId, discontinuity }], oldest first
+// inits: upstream URL -> { id, size, contentType }
+const buffers = new Map();
+let totalBytes = 0;
+
+function isTimeshiftEnabled() {
+    return TIMESHIFT_CONFIG.WINDOW_MINUTES > 0;
+}
+
+// Channel IDs come from the data sources, so they are encoded before being used as directory names
+function getChannelDir(channelId) {
+    return path.join(TIMESHIFT_CONFIG.DIR, Buffer.from(channelId).toString('base64url'));
+}
+
+function getBuffer(channelId) {
+    if (!buffers.has(channelId)) {
+        buffers.set(channelId, { capture: null, starting: false, lastWatched: 0, nextId: 1, segments: [], inits: new Map() });
+    }
+    return buffers.get(channelId);
+}
+
+function removeFile(channelId, name) {
+    fs.rm(path.join(getChannelDir(channelId), name), { force: true }).catch(error => {
+        log('WARN', 'TIMESHIFT', `Could not remove ${name}`, { channelId, error: error.message });
+    });
+}
+
+function dropOldestSegment(channelId, buffer) {
+    const segment = buffer.segments.shift();
+    totalBytes -= segment.size;
+    removeFile(channelId, `${segment.id}.seg`);
+
+    // Drop init segments nothing refers to any more
+    buffer.inits.forEach((init, url) => {
+        if (!buffer.segments.some(remaining => remaining.initId === init.id)) {
+            buffer.inits.delete(url);
+            totalBytes -= init.size;
+            removeFile(channelId, `init-${init.id}.seg`);
+        }
+    });
+}
+
+// Drop segments older than the window, then the oldest segments overall until the buffer fits
+function evict() {
+    const cutoff = Date.now() - TIMESHIFT_CONFIG.WINDOW_MINUTES * 60 * 1000;
+    buffers.forEach((buffer, channelId) => {
+        while (buffer.segments.length && buffer.segments[0].start + buffer.segments[0].duration * 1000 < cutoff) {
+            dropOldestSegment(channelId, buffer);
+        }
+    });
+
+    while (totalBytes > TIMESHIFT_CONFIG.MAX_BYTES) {
+        let oldest = null;
+        buffers.forEach((buffer, channelId) => {
+            const [first] = buffer.segments;
+            if (first && (!oldest || first.start < oldest.start)) oldest = { channelId, buffer, start: first.start };
+        });
+        if (!oldest) break;
+        dropOldestSegment(oldest.channelId, oldest.buffer);
+    }
+
+    buffers.forEach((buffer, channelId) => {
+        if (!buffer.segments.length && !buffer.capture && !buffer.starting) buffers.delete(channelId);
+    });
+}
+
+async function storeSegment(channelId, buffer, segment) {
+    const dir = getChannelDir(channelId);
+    await fs.mkdir(dir, { recursive: true });
+
+    let initId = null;
+    if (segment.init) {
+        let init = buffer.inits.get(segment.init.url);
+        if (!init) {
+            init = { id: buffer.nextId++, size: segment.init.data.length, contentType: segment.init.contentType };
+            await fs.writeFile(path.join(dir, `init-${init.id}.seg`), segment.init.data);
+            buffer.inits.set(segment.init.url, init);
+            totalBytes += init.size;
+        }
+        initId = init.id;
+    }
+
+    const id = buffer.nextId++;
+    await fs.writeFile(path.join(dir, `${id}.seg`), segment.data);
+    buffer.segments.push({
+        id,
+        start: segment.start,
+        duration: segment.duration,
+        size: segment.data.length,
+        contentType: segment.contentType,
+        initId,
+        discontinuity: segment.discontinuity
+    });
+    totalBytes += segment.data.length;
+    evict();
+}
+
+// Called for every proxied playlist request: keeps the channel's capture running, starting it when
+// there is room for another channel
+async function watchChannel(channelId) {
+    if (!isTimeshiftEnabled() || !channelId) return;
+    const buffer = getBuffer(channelId);
+    buffer.lastWatched = Date.now();
+    if (buffer.capture || buffer.starting) return;
+
+    const capturing = [...buffers.values()].filter(other => other.capture || other.starting).length;
+    if (capturing >= TIMESHIFT_CONFIG.MAX_CHANNELS) {
+        log('DEBUG', 'TIMESHIFT', `Not capturing ${channelId}, ${capturing} channels are already being captured`);
+        return;
+    }
+
+    buffer.starting = true;
+    try {
+        const channelData = (await getTVData())[channelId];
+        if (!channelData || !channelData.mjh_master) return;
+        const last = buffer.segments[buffer.segments.length - 1];
+        buffer.capture = startCapture({
+            channelId,
+            channelData,
+            // A capture restarted after a failure or idle stop carries on after what is buffered
+            resumeAfter: last ? last.start + last.duration * 1000 : null,
+            onSegment: (segment) => storeSegment(channelId, buffer, segment),
+            onStop: (error) => {
+                buffer.capture = null;
+                if (error) log('WARN', 'TIMESHIFT', `Stopped capturing ${channelId}`, { error: error.message });
+            }
+        });
+    } finally {
+        buffer.starting = false;
+    }
+}
+
+function sweep() {
+    const now = Date.now();
+    buffers.forEach((buffer, channelId) => {
+        if (buffer.capture && now - buffer.lastWatched > TIMESHIFT_CONFIG.IDLE_TIMEOUT) {
+            log('INFO', 'TIMESHIFT', `No viewers for ${channelId}, stopping capture`);
+            buffer.capture.stop();
+        }
+    });
+    evict();
+}
+
+// Clear segments left by a previous run and start the idle and eviction checks
+async function initTimeshift() {
+    if (!isTimeshiftEnabled()) return;
+    await fs.rm(TIMESHIFT_CONFIG.DIR, { recursive: true, force: true });
+    await fs.mkdir(TIMESHIFT_CONFIG.DIR, { recursive: true });
+    setInterval(sweep, TIMESHIFT_CONFIG.SWEEP_INTERVAL).unref();
+    log('INFO', 'TIMESHIFT', 'Timeshift enabled', {
+        windowMinutes: TIMESHIFT_CONFIG.WINDOW_MINUTES,
+        maxMB: Math.round(TIMESHIFT_CONFIG.MAX_BYTES / 1024 / 1024),
+        dir: TIMESHIFT_CONFIG.DIR
+    });
+}
+
+function getSegmentsBetween(channelId, start, end) {
+    const buffer = buffers.get(channelId);
+    if (!buffer) return [];
+    return buffer.segments.filter(segment => segment.start + segment.duration * 1000 > start && segment.start < end);
+}
+
+// The buffered part of a time range as { start, end } (milliseconds), or null when none of it is
+function getCoverage(channelId, start, end) {
+    const segments = getSegmentsBetween(channelId, start, end);
+    if (!segments.length) return null;
+    const last = segments[segments.length - 1];
+    return { start: segments[0].start, end: last.start + last.duration * 1000 };
+}
+
+// A playlist of the buffered segments between start and end, growing while the range is still in
+// progress. Returns null when nothing in the range is buffered.
+function buildTimeshiftPlaylist(channelId, start, end, segmentUrl) {
+    const segments = getSegmentsBetween(channelId, start, end);
+    if (!segments.length) return null;
+    return buildMediaPlaylist(segments, { live: end > Date.now(), segmentUrl });
+}
+
+// The file for a segment name from a timeshift playlist ("12" or "init-3"), or null once evicted
+function getSegmentFile(channelId, name) {
+    const buffer = buffers.get(channelId);
+    if (!buffer) return null;
+
+    const initMatch = /^init-(\d+)$/.exec(name);
+    const id = parseInt(initMatch ? initMatch[1] : name, 10);
+    const entry = initMatch
+        ? [...buffer.inits.values()].find(init => init.id === id)
+        : buffer.segments.find(segment => segment.id === id);
+    if (!entry) return null;
+    return { path: path.join(getChannelDir(channelId), `${name}.seg`), contentType: entry.contentType };
+}
+
+function getTimeshiftStats() {
+    return {
+        enabled: isTimeshiftEnabled(),
+        windowMinutes: TIMESHIFT_CONFIG.WINDOW_MINUTES,
+        bytes: totalBytes,
+        channels: [...buffers.entries()].map(([channelId, buffer]) => ({
+            channelId,
+            capturing: Boolean(buffer.capture),
+            segments: buffer.segments.length,
+            from: buffer.segments.length ? new Date(buffer.segments[0].start).toISOString() : null
+        }))
+    };
+}
+
+module.exports = {
+    TIMESHIFT_CONFIG,
+    isTimeshiftEnabled,
+    initTimeshift,
+    watchChannel,
+    getCoverage,
+    buildTimeshiftPlaylist,
+    getSegmentFile,
+    getTimeshiftStats
+};
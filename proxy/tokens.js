@@ -0,0 +1,93 @@
+// HMAC-signed, expiring tokens for proxy URLs.
+//
+// A token is "<payload>.<signature>" (both base64url) where the payload holds the channel ID, the
+// expiry and issue time in seconds and optionally the host of the URL it was issued for. Renewed
+// tokens keep the issue time of the one they replace, so renewing a session is capped at
+// PROXY_TOKEN_MAX_SESSION after the stream URL was first handed out. Tokens are signed with
+// PROXY_TOKEN_SECRET. When rotating the secret, move the old value to PROXY_TOKEN_SECRET_PREVIOUS and
+// keep it for at least one PROXY_TOKEN_TTL so streams that are already playing keep working until
+// their tokens expire.
+const crypto = require('crypto');
+const { log } = require('../addon/logger');
+
+const TOKEN_CONFIG = {
+    TTL: parseInt(process.env.PROXY_TOKEN_TTL, 10) || 6 * 60 * 60, // Seconds a stream URL stays valid
+    EXPORT_TTL: 7 * 24 * 60 * 60, // Exported M3U playlists are re-downloaded far less often
+    // Seconds renewals can keep one stream session going for
+    MAX_SESSION: parseInt(process.env.PROXY_TOKEN_MAX_SESSION, 10) || 24 * 60 * 60
+};
+
+function loadSecrets() {
+    const current = process.env.PROXY_TOKEN_SECRET;
+    const previous = (process.env.PROXY_TOKEN_SECRET_PREVIOUS || '').split(',').map(s => s.trim()).filter(Boolean);
+    if (current) {
+        return [current, ...previous];
+    }
+    log('WARN', 'PROXY_TOKEN', 'PROXY_TOKEN_SECRET not set. Using a random secret; stream URLs will not survive restarts or work across instances.');
+    return [crypto.randomBytes(32).toString('hex')];
+}
+
+const secrets = loadSecrets();
+
+function sign(payload, secret) {
+    return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+function encodeToken(claims) {
+    const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+    return `${payload}.${sign(payload, secrets[0])}`;
+}
+
+function createProxyToken(channelId, ttl = TOKEN_CONFIG.TTL, host) {
+    const now = Math.floor(Date.now() / 1000);
+    return encodeToken({ c: channelId, e: now + ttl, i: now, ...(host && { h: host }) });
+}
+
+// A fresh token for the same channel, host and session as a verified one ({ channelId, expires, host,
+// issuedAt } from verifyProxyToken). It lasts another TTL, but not past the session cap, and never
+// expires before the token it renews.
+function renewProxyToken(token) {
+    const now = Math.floor(Date.now() / 1000);
+    const issuedAt = token.issuedAt === null ? now : token.issuedAt;
+    const expires = Math.max(token.expires / 1000, Math.min(now + TOKEN_CONFIG.TTL, issuedAt + TOKEN_CONFIG.MAX_SESSION));
+    return encodeToken({ c: token.channelId, e: expires, i: issuedAt, ...(token.host && { h: token.host }) });
+}
+
+// Returns { channelId, expires, host, issuedAt } for a valid token, or { error } describing why it was refused
+function verifyProxyToken(token) {
+    if (typeof token !== 'string' || !token.includes('.')) {
+        return { error: 'missing-token' };
+    }
+
+    const [payload, signature] = token.split('.');
+    const given = Buffer.from(signature || '', 'base64url');
+    const valid = secrets.some(secret => {
+        const expected = Buffer.from(sign(payload, secret), 'base64url');
+        return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+    });
+    if (!valid) {
+        return { error: 'invalid-token' };
+    }
+
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+        return { error: 'invalid-token' };
+    }
+    if (!claims || typeof claims.c !== 'string' || !Number.isInteger(claims.e)) {
+        return { error: 'invalid-token' };
+    }
+    if (claims.e * 1000 < Date.now()) {
+        return { error: 'expired-token' };
+    }
+    return {
+        channelId: claims.c,
+        expires: claims.e * 1000,
+        host: typeof claims.h === 'string' ? claims.h : null,
+        // Tokens from before issue times were recorded have none
+        issuedAt: Number.isInteger(claims.i) ? claims.i : null
+    };
+}
+
+module.exports = { TOKEN_CONFIG, createProxyToken, renewProxyToken, verifyProxyToken };
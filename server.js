@@ -1,9 +1,45 @@
 const express = require('express');
 const path = require('path');
+const crypto = require('crypto');
+const querystring = require('querystring');
 const cors = require('cors');
 const { createProxyMiddleware } = require('http-proxy-middleware');
 const { getRouter } = require('stremio-addon-sdk');
 const addonInterface = require('./addon/addon.js');
+const { initTVDataCache, getTVData, getTVDataStatus, getChannels, getUserChannels } = require('./addon/tvdata');
+const { resolveConfigChannels } = require('./addon/channelHistory');
+const { buildM3U, buildXMLTV } = require('./addon/export');
+const { startProber, getHealthReport } = require('./addon/prober');
+const { buildManifest, getAvailableCatalogs } = require('./addon/manifest');
+const { getProgrammesBetween } = require('./addon/programmes');
+const { decodeConfig, normalizeConfig } = require('./addon/config');
+const { ConfigStoreError, loadConfig, saveConfig, updateConfig } = require('./addon/configStore');
+const { log, withRequestId } = require('./addon/logger');
+const {
+    registerGauge,
+    recordRequest,
+    recordUpstreamFailure,
+    recordProxiedBytes,
+    recordStreamActivity,
+    renderMetrics
+} = require('./addon/metrics');
+const { proxyGuard, allowHost, agents, ProxyGuardError } = require('./proxy/guard');
+const { parsePlaylist, serializePlaylist, rewritePlaylistUris, isMasterPlaylist, isPlaylistResponse } = require('./proxy/hls');
+const { proxyCache, cacheResponse, getCacheStats } = require('./proxy/cache');
+const { HTTP_CONFIG, checkCircuit, reportResult, getCircuitStats } = require('./addon/httpClient');
+const { renewProxyToken, verifyProxyToken } = require('./proxy/tokens');
+const { initTimeshift, watchChannel, buildTimeshiftPlaylist, getSegmentFile, getTimeshiftStats } = require('./proxy/timeshift');
+const {
+    RecordingError,
+    isRecordingEnabled,
+    isValidApiKey,
+    initRecordings,
+    scheduleRecording,
+    deleteRecording,
+    listRecordings,
+    buildRecordingPlaylist,
+    getRecordingSegmentFile
+} = require('./addon/recordings');
 
 const { version } = require('./package.json');
 
@@ -12,6 +48,40 @@ const port = process.env.PORT || 8080;
 
 app.set('trust proxy', true);
 
+// Request metrics are grouped by handler rather than by path, which would include configs and URLs
+const HANDLER_PATTERNS = [
+    ['proxy', /^\/proxy\//],
+    ['timeshift', /^\/timeshift\//],
+    ['recordings', /^\/recordings\//],
+    ['api', /^\/api\//],
+    ['catalog', /\/catalog\//],
+    ['meta', /\/meta\//],
+    ['stream', /\/stream\//],
+    ['manifest', /\/manifest\.json$/],
+    ['export', /\/(playlist\.m3u|epg\.xml)$/],
+    ['configure', /\/configure(\/|$)/]
+];
+
+function getHandlerLabel(pathname) {
+    const match = HANDLER_PATTERNS.find(([, pattern]) => pattern.test(pathname));
+    return match ? match[0] : 'other';
+}
+
+// Every request gets a correlation ID for its log lines: the caller's X-Request-Id, the Cloud Run
+// trace ID, or a new one. It is echoed back in X-Request-Id.
+app.use((req, res, next) => {
+    const traceHeader = req.get('x-cloud-trace-context');
+    const traceId = traceHeader ? traceHeader.split('/')[0] : null;
+    const givenId = req.get('x-request-id');
+    const requestId = (givenId && /^[\w.-]{1,64}$/.test(givenId) && givenId) || traceId || crypto.randomBytes(8).toString('hex');
+    res.setHeader('X-Request-Id', requestId);
+
+    const handler = getHandlerLabel(req.path);
+    const startTime = process.hrtime.bigint();
+    res.on('finish', () => recordRequest(handler, res.statusCode, Number(process.hrtime.bigint() - startTime) / 1e9));
+    withRequestId({ requestId, traceId }, next);
+});
+
 const corsOptions = {
     origin: (origin, callback) => {
         const allowedOrigins = [
@@ -30,97 +100,597 @@ const corsOptions = {
     exposedHeaders: ['Content-Length', 'Content-Range', 'Content-Type', 'Accept-Ranges'],
     credentials: true,
 };
-app.use(cors(corsOptions));
+// Same-origin requests from the config page (e.g. saving a config) carry an Origin header too
+app.use((req, res, next) => {
+    if (req.get('origin') === `${req.protocol}://${req.get('host')}`) return next();
+    cors(corsOptions)(req, res, next);
+});
 
-const proxy = createProxyMiddleware({
-    router: (req) => {
-        const encodedUrl = req.params[0];
-        if (!encodedUrl) {
-            throw new Error('No encoded URL provided');
-        }
-        const decodedUrl = decodeURIComponent(encodedUrl);
-        if (!/^https?:\/\//.test(decodedUrl)) {
-            throw new Error('Invalid URL for proxy');
-        }
-        return decodedUrl;
-    },
-    changeOrigin: true,
-    selfHandleResponse: true,
-    onProxyReq: (proxyReq, req, res) => {
-        if (req.query.headers) {
-            try {
-                const headers = JSON.parse(decodeURIComponent(req.query.headers));
-                for (const key in headers) {
-                    proxyReq.setHeader(key, headers[key]);
+// Tags whose URI is another playlist; in master playlists the URI lines are variant playlists too
+const CHILD_PLAYLIST_TAGS = ['EXT-X-MEDIA', 'EXT-X-I-FRAME-STREAM-INF', 'EXT-X-RENDITION-REPORT'];
+
+// Send an upstream response, whole, to the player. Playlists are rewritten for this request; error
+// responses are passed on with their status as they are.
+function sendProxyResponse(req, res, { statusCode, headers, body }) {
+    if (statusCode >= 400 || !isPlaylistResponse(headers['content-type'], req.proxyTarget.pathname)) {
+        const { 'transfer-encoding': transferEncoding, connection, ...rest } = headers;
+        res.writeHead(statusCode, { ...rest, 'content-length': body.length });
+        res.end(body);
+        recordProxiedBytes(body.length);
+        return;
+    }
+
+    // Child playlists get renewed tokens, so a viewer is told apart by the session the tokens belong to
+    recordStreamActivity(req.proxyChannelId, `${req.ip} ${req.proxyToken.issuedAt}`);
+
+    // Players refresh live playlists every few seconds, which keeps the timeshift capture going
+    watchChannel(req.proxyChannelId).catch(error => {
+        log('WARN', 'TIMESHIFT', 'Could not start capture', { channelId: req.proxyChannelId, error: error.message });
+    });
+    const addonHost = process.env.ADDON_HOST || `${req.protocol}://${req.get('host')}`;
+    // Child playlists, keys, init segments and media segments all go back through the proxy with
+    // the per-channel headers of this request. Players keep re-fetching child playlists for as long
+    // as they play, so those get a renewed token (see renewProxyToken); the rest keep this request's
+    // token.
+    const childParams = new URLSearchParams({ token: req.query.token });
+    const playlistParams = new URLSearchParams({ token: renewProxyToken(req.proxyToken) });
+    if (req.query.headers) {
+        childParams.set('headers', req.query.headers);
+        playlistParams.set('headers', req.query.headers);
+    }
+    const playlist = parsePlaylist(body.toString());
+    const isMaster = isMasterPlaylist(playlist);
+    rewritePlaylistUris(playlist, req.proxyTarget.href, (url, { tag }) => {
+        // Segments and variants may live on another CDN host
+        allowHost(new URL(url).host, req.proxyChannelId);
+        const isChildPlaylist = CHILD_PLAYLIST_TAGS.includes(tag) || (tag === null && isMaster);
+        return `${addonHost}/proxy/${encodeURIComponent(url)}?${isChildPlaylist ? playlistParams : childParams}`;
+    });
+    const rewrittenBody = serializePlaylist(playlist);
+
+    res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+    res.setHeader('Content-Length', Buffer.byteLength(rewrittenBody));
+    res.end(rewrittenBody);
+    recordProxiedBytes(Buffer.byteLength(rewrittenBody));
+}
+
+// Upstream failures of segment requests get one more try before the player sees an error. Playlists
+// aren't retried, as players fetch live playlists again every few seconds anyway.
+const PROXY_RETRY_DELAY = 250;
+
+function retrySegment(req, res) {
+    if (req.proxyRetried || res.headersSent || req.proxyTarget.pathname.endsWith('.m3u8')) return false;
+    try {
+        checkCircuit(req.proxyTarget.host);
+    } catch (error) {
+        return false;
+    }
+    req.proxyRetried = true;
+    req.proxyTimedOut = false;
+    log('DEBUG', 'PROXY', 'Retrying segment', { host: req.proxyTarget.host });
+    setTimeout(() => proxy(req, res, () => res.status(502).json({ error: 'Bad Gateway' })), PROXY_RETRY_DELAY);
+    return true;
+}
+
+// Refuse requests to hosts whose circuit is open (see addon/httpClient.js) rather than waiting on them
+function proxyCircuit(req, res, next) {
+    try {
+        checkCircuit(req.proxyTarget.host);
+    } catch (error) {
+        res.setHeader('Retry-After', String(Math.ceil(HTTP_CONFIG.BREAKER_COOLDOWN / 1000)));
+        res.status(503).json({ error: 'Service Unavailable', reason: error.reason, message: error.message });
+        return;
+    }
+    next();
+}
+
+// One proxy per protocol so each can use an agent whose DNS lookup refuses private addresses
+function createStreamProxy(agent) {
+    return createProxyMiddleware({
+        // proxyGuard has already validated the target and stored it on the request
+        router: (req) => req.proxyTarget.origin,
+        pathRewrite: (path, req) => req.proxyTarget.pathname + req.proxyTarget.search,
+        agent,
+        changeOrigin: true,
+        selfHandleResponse: true,
+        on: {
+            proxyReq: (proxyReq, req, res) => {
+                for (const key in req.proxyHeaders) {
+                    proxyReq.setHeader(key, req.proxyHeaders[key]);
+                }
+                // Playlists are rewritten as text, so ask for them uncompressed
+                if (req.proxyTarget.pathname.endsWith('.m3u8')) {
+                    proxyReq.setHeader('Accept-Encoding', 'identity');
+                }
+                // Ends up in the error handler below, which answers 504
+                proxyReq.setTimeout(HTTP_CONFIG.TIMEOUT, () => {
+                    req.proxyTimedOut = true;
+                    proxyReq.destroy();
+                });
+            },
+            proxyRes: (proxyRes, req, res) => {
+                reportResult(req.proxyTarget.host, proxyRes.statusCode < 500);
+                if (proxyRes.statusCode >= 400) recordUpstreamFailure('proxy');
+                if (proxyRes.statusCode >= 500 && retrySegment(req, res)) {
+                    proxyRes.resume();
+                    return;
+                }
+                // Playlists are rewritten and cache misses are stored, so both need the whole body
+                if (req.proxyCache || isPlaylistResponse(proxyRes.headers['content-type'], req.proxyTarget.pathname)) {
+                    const body = [];
+                    proxyRes.on('data', (chunk) => body.push(chunk));
+                    proxyRes.on('end', () => {
+                        const response = { statusCode: proxyRes.statusCode, headers: proxyRes.headers, body: Buffer.concat(body) };
+                        cacheResponse(req, response);
+                        sendProxyResponse(req, res, response);
+                    });
+                } else {
+                    res.writeHead(proxyRes.statusCode, proxyRes.headers);
+                    proxyRes.on('data', (chunk) => recordProxiedBytes(chunk.length));
+                    proxyRes.pipe(res);
+                }
+            },
+            error: (err, req, res) => {
+                if (err instanceof ProxyGuardError) {
+                    log('WARN', 'PROXY_GUARD', 'Blocked proxy connection', { reason: err.reason, error: err.message, ip: req.ip });
+                    res.status(403).json({ error: 'Forbidden', reason: err.reason, message: err.message });
+                    return;
+                }
+                reportResult(req.proxyTarget.host, false);
+                recordUpstreamFailure('proxy');
+                if (retrySegment(req, res)) return;
+
+                const timedOut = Boolean(req.proxyTimedOut);
+                log('ERROR', 'PROXY', timedOut ? 'Upstream timed out' : 'Proxy error', { host: req.proxyTarget.host, error: err.message });
+                // A response that already started can only be cut short
+                if (res.headersSent) {
+                    res.destroy();
+                    return;
+                }
+                if (timedOut) {
+                    res.status(504).json({ error: 'Gateway Timeout', message: `${req.proxyTarget.host} did not respond in time` });
+                } else {
+                    res.status(502).json({ error: 'Bad Gateway', message: `Could not fetch from ${req.proxyTarget.host}` });
                 }
-            } catch (error) {
-                console.error('Error parsing headers for proxy:', error);
             }
         }
-    },
-    onProxyRes: (proxyRes, req, res) => {
-        const addonHost = process.env.ADDON_HOST || `${req.protocol}://${req.get('host')}`;
-        const requestUrl = req.params[0];
-        const targetUrl = decodeURIComponent(requestUrl);
-        
-        const contentType = proxyRes.headers['content-type'] || '';
-        if (contentType.includes('mpegurl') || contentType.includes('x-mpegURL') || targetUrl.endsWith('.m3u8')) {
-            let body = [];
-            proxyRes.on('data', (chunk) => body.push(chunk));
-            proxyRes.on('end', () => {
-                let m3u8Body = Buffer.concat(body).toString();
-                const lines = m3u8Body.split('\n');
-                const rewrittenBody = lines.map(line => {
-                    const trimmedLine = line.trim();
-                    if (trimmedLine && !trimmedLine.startsWith('#')) {
-                        try {
-                            const segmentUrl = new URL(trimmedLine, targetUrl);
-                            return `${addonHost}/proxy/${encodeURIComponent(segmentUrl.href)}`;
-                        } catch (error) {
-                            return trimmedLine; // Ignore invalid lines
-                        }
-                    }
-                    return trimmedLine;
-                }).join('\n');
-                
-                res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
-                res.setHeader('Content-Length', Buffer.byteLength(rewrittenBody));
-                res.end(rewrittenBody);
-            });
-        } else {
-            res.writeHead(proxyRes.statusCode, proxyRes.headers);
-            proxyRes.pipe(res);
+    });
+}
+
+const streamProxies = {
+    'http:': createStreamProxy(agents['http:']),
+    'https:': createStreamProxy(agents['https:'])
+};
+const proxy = (req, res, next) => streamProxies[req.proxyTarget.protocol](req, res, next);
+
+// Express routes HEAD requests here too; the cache passes them straight through
+app.get('/proxy/*', proxyGuard, proxyCache(sendProxyResponse), proxyCircuit, proxy);
+
+// Timeshift playback (see proxy/timeshift.js). URLs carry the same channel-scoped tokens as /proxy/*.
+function timeshiftGuard(req, res, next) {
+    const token = verifyProxyToken(req.query.token);
+    const reason = token.error || (token.channelId !== req.params.channelId ? 'wrong-channel' : null);
+    if (reason) {
+        log('WARN', 'TIMESHIFT', 'Rejected timeshift request', { reason, ip: req.ip });
+        res.status(403).json({ error: 'Forbidden', reason });
+        return;
+    }
+    next();
+}
+
+app.get('/timeshift/:channelId/:start(\\d+)-:end(\\d+).m3u8', timeshiftGuard, (req, res) => {
+    const { channelId } = req.params;
+    const params = new URLSearchParams({ token: req.query.token });
+    const playlist = buildTimeshiftPlaylist(
+        channelId,
+        parseInt(req.params.start, 10) * 1000,
+        parseInt(req.params.end, 10) * 1000,
+        (name) => `${getPublicHost(req)}/timeshift/${encodeURIComponent(channelId)}/${name}.seg?${params}`
+    );
+    if (!playlist) {
+        res.status(404).json({ error: 'Not in the timeshift buffer' });
+        return;
+    }
+    // Watching from the buffer keeps the channel's capture running too
+    watchChannel(channelId).catch(() => {});
+    res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+    res.send(playlist);
+});
+
+app.get('/timeshift/:channelId/:segment(init-\\d+|\\d+).seg', timeshiftGuard, (req, res) => {
+    const file = getSegmentFile(req.params.channelId, req.params.segment);
+    if (!file) {
+        res.status(404).json({ error: 'Segment has left the timeshift buffer' });
+        return;
+    }
+    res.sendFile(file.path, { headers: { 'Content-Type': file.contentType } }, (error) => {
+        // Evicted between the lookup and the read
+        if (error && !res.headersSent) res.status(404).json({ error: 'Segment has left the timeshift buffer' });
+    });
+});
+
+// Recording playback (see addon/recordings.js), with tokens scoped to the recording
+function recordingGuard(req, res, next) {
+    const token = verifyProxyToken(req.query.token);
+    const reason = token.error || (token.channelId !== `recording:${req.params.recordingId}` ? 'wrong-recording' : null);
+    if (reason) {
+        log('WARN', 'RECORDINGS', 'Rejected recording request', { reason, ip: req.ip });
+        res.status(403).json({ error: 'Forbidden', reason });
+        return;
+    }
+    next();
+}
+
+app.get('/recordings/:recordingId([a-f0-9]{12}).m3u8', recordingGuard, async (req, res) => {
+    const { recordingId } = req.params;
+    const params = new URLSearchParams({ token: req.query.token });
+    try {
+        const playlist = await buildRecordingPlaylist(
+            recordingId,
+            (name) => `${getPublicHost(req)}/recordings/${recordingId}/${name}.seg?${params}`
+        );
+        if (!playlist) {
+            res.status(404).json({ error: 'Recording not found' });
+            return;
         }
-    },
-    onError: (err, req, res) => {
-        console.error('Proxy error:', err);
-        res.status(500).send('Proxy Error');
+        res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+        res.send(playlist);
+    } catch (error) {
+        log('ERROR', 'RECORDINGS', 'Error building recording playlist', { recordingId, error: error.message });
+        res.status(500).json({ error: 'Recording Error' });
     }
 });
 
-app.get('/proxy/*', proxy);
-app.head('/proxy/*', proxy);
+app.get('/recordings/:recordingId([a-f0-9]{12})/:segment(init-\\d+|\\d+).seg', recordingGuard, async (req, res) => {
+    let file;
+    try {
+        file = await getRecordingSegmentFile(req.params.recordingId, req.params.segment);
+    } catch (error) {
+        log('ERROR', 'RECORDINGS', 'Error reading recording segment', { recordingId: req.params.recordingId, error: error.message });
+        res.status(500).json({ error: 'Recording Error' });
+        return;
+    }
+    if (!file) {
+        res.status(404).json({ error: 'Segment not found' });
+        return;
+    }
+    res.sendFile(file.path, { headers: { 'Content-Type': file.contentType } }, (error) => {
+        // Deleted between the lookup and the read
+        if (error && !res.headersSent) res.status(404).json({ error: 'Segment not found' });
+    });
+});
 
 app.use('/static', express.static(path.join(__dirname, 'static')));
+// The config schema module is shared with the config page
+app.get('/configure/config.js', (req, res) => res.sendFile(path.join(__dirname, 'addon', 'config.js')));
 app.use('/configure', express.static(path.join(__dirname, 'config-ui')));
 app.get('/configure/', (req, res) => res.sendFile(path.join(__dirname, 'config-ui', 'index.html')));
 
-app.get('/health', (req, res) => res.json({ status: 'ok', version }));
+app.get('/health', (req, res) => res.json({ status: 'ok', version, data: getTVDataStatus() }));
+app.get('/status/channels', (req, res) => res.json(getHealthReport()));
 app.get('/stats', (req, res) => res.json({
     status: 'ok',
     version,
     uptime: process.uptime(),
     memory: process.memoryUsage(),
+    proxyCache: getCacheStats(),
+    timeshift: getTimeshiftStats(),
+    upstreamCircuits: getCircuitStats()
 }));
 
+registerGauge('channel_data_age_seconds', 'Age of the cached channel and EPG data', () => getTVDataStatus().ageSeconds);
+registerGauge('channel_data_channels', 'Channels in the cached data', () => getTVDataStatus().channelCount);
+registerGauge('proxy_cache_bytes', 'Memory used by the proxy cache', () => getCacheStats().bytes);
+registerGauge('proxy_cache_requests_total', 'Proxy cache lookups by result', () => {
+    const stats = getCacheStats();
+    return ['hits', 'misses', 'coalesced'].map(result => ({ labels: { result }, value: stats[result] }));
+}, 'counter');
+registerGauge('upstream_open_circuits', 'Upstream hosts currently refused after repeated failures', () => (
+    getCircuitStats().filter(circuit => circuit.open).length
+));
+registerGauge('timeshift_bytes', 'Disk used by the timeshift buffer', () => getTimeshiftStats().bytes);
+registerGauge('process_resident_memory_bytes', 'Resident memory of the server process', () => process.memoryUsage().rss);
+registerGauge('uptime_seconds', 'Seconds since the server started', () => Math.round(process.uptime()));
+
+app.get('/metrics', (req, res) => {
+    res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(renderMetrics());
+});
+
+async function getCatalogIds() {
+    return getAvailableCatalogs(await getTVData()).map(catalog => catalog.id);
+}
+
+// Saved configs are loaded once per request for every route with a :configId segment
+app.param('configId', async (req, res, next, id) => {
+    try {
+        req.savedConfig = await loadConfig(id);
+    } catch (error) {
+        next(error);
+        return;
+    }
+    if (!req.savedConfig) {
+        res.status(404).json({ error: 'Not Found', message: `No saved config with ID ${id}` });
+        return;
+    }
+    next();
+});
+
+// The user's config from a saved config ID, the install URL path or ?config=, migrated and
+// validated. Invalid settings are logged and fall back to their defaults.
+async function getRequestConfig(req) {
+    const catalogIds = await getCatalogIds();
+    const { config, errors } = req.savedConfig
+        ? normalizeConfig(req.savedConfig, { catalogIds })
+        : decodeConfig(req.params.config || req.query.config, { catalogIds });
+    if (errors.length) {
+        log('WARN', 'CONFIG', 'Config has invalid settings', { errors, path: req.path });
+    }
+    return config;
+}
+
+function getPublicHost(req) {
+    return process.env.K_SERVICE_URL || process.env.ADDON_HOST || `${req.protocol}://${req.get('host')}`;
+}
+
+// Channels for the export endpoints, filtered and ordered by the user's config like the catalog
+async function getExportData(req) {
+    const config = await getRequestConfig(req);
+    const tvData = await getTVData();
+    const { channels } = getUserChannels({ config }, await getChannels());
+    return { tvData, channels };
+}
+
+app.get(['/playlist.m3u', '/:config/playlist.m3u', '/c/:configId/playlist.m3u'], async (req, res) => {
+    try {
+        const host = getPublicHost(req);
+        const { tvData, channels } = await getExportData(req);
+        const config = req.params.config || req.query.config;
+        let epgUrl = `${host}/epg.xml${config ? `?config=${encodeURIComponent(config)}` : ''}`;
+        if (req.params.configId) {
+            epgUrl = `${host}/c/${req.params.configId}/epg.xml`;
+        } else if (req.params.config) {
+            epgUrl = `${host}/${encodeURIComponent(config)}/epg.xml`;
+        }
+
+        res.setHeader('Content-Type', 'audio/x-mpegurl; charset=utf-8');
+        res.send(buildM3U({ channels, tvData, host, epgUrl }));
+    } catch (error) {
+        log('ERROR', 'EXPORT', 'Error building M3U playlist', { error: error.message });
+        res.status(500).send('Playlist Error');
+    }
+});
+
+app.get(['/epg.xml', '/:config/epg.xml', '/c/:configId/epg.xml'], async (req, res) => {
+    try {
+        const { tvData, channels } = await getExportData(req);
+        res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+        res.send(buildXMLTV({ channels, tvData }));
+    } catch (error) {
+        log('ERROR', 'EXPORT', 'Error building XMLTV guide', { error: error.message });
+        res.status(500).send('EPG Error');
+    }
+});
+
 app.get('/', (req, res) => {
     res.redirect('/configure/');
 });
 
+// Stremio's Configure button opens <install URL>/configure
+app.get('/c/:configId/configure', (req, res) => {
+    res.redirect(`/configure/?id=${encodeURIComponent(req.params.configId)}`);
+});
+app.get('/:config/configure', (req, res) => {
+    res.redirect(`/configure/?config=${encodeURIComponent(req.params.config)}`);
+});
+
+function sendConfigStoreError(res, error) {
+    if (error instanceof ConfigStoreError) {
+        const status = { 'not-found': 404, 'invalid-key': 403, disabled: 503 }[error.reason] || 500;
+        res.status(status).json({ error: error.message, reason: error.reason });
+        return;
+    }
+    log('ERROR', 'CONFIG_STORE', 'Config store error', { error: error.message });
+    res.status(500).json({ error: 'Could not save the config' });
+}
+
+// Validate a config posted by the config page; invalid configs are rejected rather than repaired
+async function validatePostedConfig(req, res) {
+    const { config, errors } = normalizeConfig(req.body && req.body.config, { catalogIds: await getCatalogIds() });
+    if (errors.length) {
+        res.status(400).json({ error: 'Invalid config', errors });
+        return null;
+    }
+    return config;
+}
+
+app.post('/api/configs', express.json({ limit: '64kb' }), async (req, res) => {
+    try {
+        const config = await validatePostedConfig(req, res);
+        if (!config) return;
+        const { id, editKey } = await saveConfig(config);
+        res.status(201).json({ id, editKey, config });
+    } catch (error) {
+        sendConfigStoreError(res, error);
+    }
+});
+
+// Every catalog the addon offers, including ones the default manifest leaves out (Favourites)
+app.get('/api/catalogs', async (req, res) => {
+    try {
+        const catalogs = getAvailableCatalogs(await getTVData());
+        res.json({ catalogs: catalogs.map(catalog => ({ id: catalog.id, name: catalog.name })) });
+    } catch (error) {
+        log('ERROR', 'CATALOGS', 'Error listing catalogs', { error: error.message });
+        res.status(503).json({ error: 'Channel data unavailable' });
+    }
+});
+
+// How a config's channel list applies to the current channels: removed channels mapped to their
+// replacements, and channels added since the config was made
+app.post('/api/channels/resolve', express.json({ limit: '64kb' }), async (req, res) => {
+    try {
+        const { config } = normalizeConfig(req.body && req.body.config, { catalogIds: await getCatalogIds() });
+        const { channelIds, excludedIds, channelSettings, replacements, newIds } = resolveConfigChannels(config, await getChannels());
+        res.json({
+            channels: config.channels ? channelIds : null,
+            excludedChannels: excludedIds,
+            channelSettings,
+            replacements,
+            newChannels: newIds
+        });
+    } catch (error) {
+        log('ERROR', 'CHANNELS', 'Error resolving channels', { error: error.message });
+        res.status(500).json({ error: 'Resolve Error' });
+    }
+});
+
+// Schedule window for the config page's guide preview
+const GUIDE_CONFIG = {
+    DEFAULT_HOURS: 6,
+    MAX_HOURS: 24,
+    LOOKBACK: 30 * 60 * 1000 // The window opens at the last half hour so the current programmes show
+};
+
+// e.g. /api/schedule?channels=mjh-tvnz-1,mjh-three&hours=6; without `channels`, every channel
+app.get('/api/schedule', async (req, res) => {
+    try {
+        const hours = Math.min(Math.max(parseInt(req.query.hours, 10) || GUIDE_CONFIG.DEFAULT_HOURS, 1), GUIDE_CONFIG.MAX_HOURS);
+        const now = Date.now();
+        const start = Math.floor(now / GUIDE_CONFIG.LOOKBACK) * GUIDE_CONFIG.LOOKBACK;
+        const end = start + hours * 60 * 60 * 1000;
+
+        const tvData = await getTVData();
+        const allChannels = await getChannels();
+        const channelIds = req.query.channels ? String(req.query.channels).split(',') : null;
+        const channels = channelIds
+            ? channelIds.map(id => allChannels.find(channel => channel.id === id)).filter(Boolean)
+            : allChannels;
+
+        res.json({
+            now,
+            start,
+            end,
+            channels: channels.map(channel => ({
+                id: channel.id,
+                name: channel.name,
+                logo: channel.logo,
+                programmes: getProgrammesBetween(tvData[channel.id], start, end)
+            }))
+        });
+    } catch (error) {
+        log('ERROR', 'SCHEDULE', 'Error building schedule', { error: error.message });
+        res.status(500).json({ error: 'Schedule Error' });
+    }
+});
+
+// Recording jobs. Every request needs the RECORDINGS_API_KEY in an X-Api-Key header.
+function recordingsAuth(req, res, next) {
+    if (!isRecordingEnabled()) {
+        res.status(404).json({ error: 'Recordings are not enabled on this server' });
+        return;
+    }
+    if (!isValidApiKey(req.get('x-api-key'))) {
+        res.status(401).json({ error: 'A valid X-Api-Key header is required' });
+        return;
+    }
+    next();
+}
+
+function sendRecordingError(res, error) {
+    if (error instanceof RecordingError) {
+        const status = { 'invalid': 400, 'not-found': 404, 'conflict': 409 }[error.reason] || 500;
+        res.status(status).json({ error: error.message, reason: error.reason });
+        return;
+    }
+    log('ERROR', 'RECORDINGS', 'Recording error', { error: error.message });
+    res.status(500).json({ error: 'Recording Error' });
+}
+
+app.get('/api/recordings', recordingsAuth, (req, res) => {
+    res.json({ recordings: listRecordings() });
+});
+
+// e.g. { "channelId": "mjh-tvnz-1", "start": 1760000000 } with the programme's start in seconds,
+// as in the meta schedule IDs; "paddingBefore" and "paddingAfter" (minutes) are optional.
+// Not strict so bodies like `null` reach the check below and get a JSON error.
+app.post('/api/recordings', recordingsAuth, express.json({ limit: '4kb', strict: false }), async (req, res) => {
+    try {
+        if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+            throw new RecordingError('Expected a JSON object with channelId and start', 'invalid');
+        }
+        res.status(201).json({ recording: await scheduleRecording(req.body) });
+    } catch (error) {
+        sendRecordingError(res, error);
+    }
+});
+
+// Cancels a scheduled or running recording, or deletes a finished one
+app.delete('/api/recordings/:recordingId', recordingsAuth, async (req, res) => {
+    try {
+        res.json({ recording: await deleteRecording(req.params.recordingId) });
+    } catch (error) {
+        sendRecordingError(res, error);
+    }
+});
+
+app.get('/api/configs/:configId', (req, res) => {
+    res.json({ id: req.params.configId, config: req.savedConfig });
+});
+
+app.put('/api/configs/:configId', express.json({ limit: '64kb' }), async (req, res) => {
+    try {
+        const config = await validatePostedConfig(req, res);
+        if (!config) return;
+        await updateConfig(req.params.configId, req.get('x-edit-key'), config);
+        res.json({ id: req.params.configId, config });
+    } catch (error) {
+        sendConfigStoreError(res, error);
+    }
+});
+
+// Served here rather than by the SDK router so the catalogs reflect the live channel data and the
+// user's config, e.g. /eyJjYXRhbG9ncyI6W119/manifest.json
+app.get(['/manifest.json', '/:config/manifest.json', '/c/:configId/manifest.json'], async (req, res) => {
+    try {
+        res.json(buildManifest(await getTVData(), await getRequestConfig(req)));
+    } catch (error) {
+        log('ERROR', 'MANIFEST', 'Error building manifest', { error: error.message });
+        res.json(addonInterface.manifest);
+    }
+});
+
+// Addon resources, with or without a config in the path. The SDK router only understands JSON config
+// segments, so the config is decoded here and handlers always receive a complete, validated config.
+app.get([
+    '/:resource(catalog|meta|stream)/:type/:id/:extra?.json',
+    '/:config/:resource(catalog|meta|stream)/:type/:id/:extra?.json',
+    '/c/:configId/:resource(catalog|meta|stream)/:type/:id/:extra?.json'
+], async (req, res) => {
+    const { resource, type, id } = req.params;
+    // Parsed from the raw URL like the SDK does, as `req.params.extra` is already decoded
+    const extra = req.params.extra ? querystring.parse(req.path.split('/').pop().slice(0, -5)) : {};
+
+    try {
+        const config = await getRequestConfig(req);
+        res.json(await addonInterface.get(resource, type, id, extra, config));
+    } catch (error) {
+        if (error.noHandler) {
+            res.status(404).json({ err: 'not found' });
+            return;
+        }
+        log('ERROR', resource.toUpperCase(), `Error handling ${resource} request`, { error: error.message });
+        res.status(500).json({ err: 'handler error' });
+    }
+});
+
 const addonRouter = getRouter(addonInterface);
 app.use('/', addonRouter);
 
 app.listen(port, () => {
-    console.log(`NZ Freeview Addon running on port ${port}`);
-    console.log(`- Manifest: http://localhost:${port}/manifest.json`);
+    log('INFO', 'SERVER', `NZ Freeview Addon running on port ${port}`, { manifest: `http://localhost:${port}/manifest.json` });
+    initTVDataCache();
+    startProber();
+    initTimeshift().catch(error => log('ERROR', 'TIMESHIFT', 'Could not prepare the timeshift directory', { error: error.message }));
+    initRecordings().catch(error => log('ERROR', 'RECORDINGS', 'Could not load recording jobs', { error: error.message }));
 });
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { isPrivateAddress, assertPublicHost } = require('../proxy/guard');
+
+test('private, loopback and link-local IPv4 addresses are refused', () => {
+    ['0.0.0.0', '10.1.2.3', '100.64.0.1', '127.0.0.1', '169.254.169.254', '172.16.0.1', '172.31.255.255',
+        '192.0.0.8', '192.168.1.1', '198.18.0.1', '224.0.0.1', '255.255.255.255'].forEach(address => {
+        assert.strictEqual(isPrivateAddress(address), true, address);
+    });
+});
+
+test('public IPv4 addresses are allowed', () => {
+    ['8.8.8.8', '1.1.1.1', '172.32.0.1', '100.128.0.1', '203.0.113.10'].forEach(address => {
+        assert.strictEqual(isPrivateAddress(address), false, address);
+    });
+});
+
+test('private IPv6 addresses are refused', () => {
+    ['::', '::1', 'fc00::1', 'fd12:3456::1', 'fe80::1', 'fe80::1%eth0', 'ff02::1'].forEach(address => {
+        assert.strictEqual(isPrivateAddress(address), true, address);
+    });
+});
+
+test('IPv6 addresses embedding a private IPv4 address are refused in every notation', () => {
+    [
+        '::ffff:127.0.0.1', // IPv4-mapped, dotted
+        '::ffff:7f00:1', // IPv4-mapped, hex
+        '::ffff:a9fe:a9fe', // Cloud metadata address
+        '0:0:0:0:0:ffff:a00:1',
+        '::127.0.0.1', // IPv4-compatible
+        '::a00:1',
+        '64:ff9b::a9fe:a9fe', // NAT64
+        '64:ff9b::192.168.0.1'
+    ].forEach(address => {
+        assert.strictEqual(isPrivateAddress(address), true, address);
+    });
+});
+
+test('public IPv6 addresses, including ones embedding a public IPv4 address, are allowed', () => {
+    ['2606:4700:4700::1111', '2001:db8::ffff:7f00:1', '::ffff:8.8.8.8', '::ffff:808:808', '64:ff9b::808:808'].forEach(address => {
+        assert.strictEqual(isPrivateAddress(address), false, address);
+    });
+});
+
+test('anything that is not an IP address is treated as private', () => {
+    assert.strictEqual(isPrivateAddress('example.com'), true);
+    assert.strictEqual(isPrivateAddress(''), true);
+});
+
+test('assertPublicHost refuses private IP literals, bracketed or not', async () => {
+    await assert.rejects(assertPublicHost('127.0.0.1'), { reason: 'private-address' });
+    await assert.rejects(assertPublicHost('[::ffff:7f00:1]'), { reason: 'private-address' });
+    await assert.rejects(assertPublicHost('[64:ff9b::a9fe:a9fe]'), { reason: 'private-address' });
+    await assertPublicHost('8.8.8.8');
+    await assertPublicHost('[2606:4700:4700::1111]');
+});
+
+test('assertPublicHost refuses hostnames resolving to private addresses', async () => {
+    await assert.rejects(assertPublicHost('localhost'), { reason: 'private-address' });
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const {
+    parsePlaylist,
+    serializePlaylist,
+    parseAttributeList,
+    getAttribute,
+    isMasterPlaylist,
+    getVariants,
+    rewritePlaylist
+} = require('../proxy/hls');
+
+const MASTER_URL = 'https://origin.example.com/live/ch1/master.m3u8';
+const MEDIA_URL = 'https://origin.example.com/live/ch1/hd/index.m3u8?token=abc';
+
+function readFixture(name) {
+    return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+// Stands in for the proxy: records which tag each URI came from and the absolute URL it resolved to
+function rewrite(url, { tag }) {
+    return `https://proxy.test/p?tag=${tag || 'uri'}&url=${encodeURIComponent(url)}`;
+}
+
+test('parsing and serializing an unmodified playlist is lossless', () => {
+    ['master.m3u8', 'media.m3u8'].forEach(name => {
+        const text = readFixture(name);
+        assert.strictEqual(serializePlaylist(parsePlaylist(text)), text);
+    });
+});
+
+test('CRLF line endings and a byte order mark are accepted', () => {
+    const text = readFixture('media.m3u8');
+    const playlist = parsePlaylist(`\uFEFF${text.replace(/\n/g, '\r\n')}`);
+    assert.strictEqual(serializePlaylist(playlist), text);
+});
+
+test('attribute lists keep quoted commas and raw values', () => {
+    assert.deepStrictEqual(parseAttributeList('METHOD=AES-128,URI="k.key?a=1,2",IV=0x01'), [
+        ['METHOD', 'AES-128'],
+        ['URI', '"k.key?a=1,2"'],
+        ['IV', '0x01']
+    ]);
+});
+
+test('master playlist: every URI is rewritten against the playlist URL', () => {
+    const output = rewritePlaylist(readFixture('master.m3u8'), MASTER_URL, rewrite);
+    assert.strictEqual(output, readFixture('master.expected.m3u8'));
+});
+
+test('media playlist: every URI is rewritten against the playlist URL', () => {
+    const output = rewritePlaylist(readFixture('media.m3u8'), MEDIA_URL, rewrite);
+    assert.strictEqual(output, readFixture('media.expected.m3u8'));
+});
+
+test('master playlist: URIs resolve to the right absolute URLs', () => {
+    const seen = [];
+    rewritePlaylist(readFixture('master.m3u8'), MASTER_URL, (url, { tag }) => {
+        seen.push([tag, url]);
+        return url;
+    });
+    assert.deepStrictEqual(seen, [
+        ['EXT-X-SESSION-KEY', 'https://keys.example.com/session.key?ch=1,2'],
+        ['EXT-X-MEDIA', 'https://origin.example.com/live/ch1/audio/en.m3u8?sig=a%2Cb&x=1'],
+        ['EXT-X-MEDIA', 'https://origin.example.com/live/subs/en.m3u8'],
+        [null, 'https://origin.example.com/live/ch1/hd/index.m3u8?token=abc&expires=123'],
+        [null, 'https://origin.example.com/live/sd/index.m3u8'],
+        [null, 'https://cdn2.example.com/low/index.m3u8?name=%22low%22&q=1'],
+        ['EXT-X-I-FRAME-STREAM-INF', 'https://origin.example.com/live/ch1/iframes/sd.m3u8?k=v']
+    ]);
+});
+
+test('media playlist: non-http key URIs are left untouched', () => {
+    const output = parsePlaylist(rewritePlaylist(readFixture('media.m3u8'), MEDIA_URL, rewrite));
+    const keys = output.lines.filter(line => line.type === 'tag' && line.name === 'EXT-X-KEY');
+    assert.strictEqual(getAttribute(keys[1], 'URI'), 'skd://fairplay-key');
+    assert.strictEqual(getAttribute(keys[1], 'KEYFORMAT'), 'com.apple.streamingkeydelivery');
+});
+
+test('master playlist variants are listed highest bandwidth first', () => {
+    const playlist = parsePlaylist(readFixture('master.m3u8'));
+    assert.ok(isMasterPlaylist(playlist));
+    assert.ok(!isMasterPlaylist(parsePlaylist(readFixture('media.m3u8'))));
+
+    const variants = getVariants(playlist, MASTER_URL);
+    assert.deepStrictEqual(variants.map(variant => [variant.bandwidth, variant.height]), [
+        [4500000, 1080],
+        [1500000, 540],
+        [800000, 360]
+    ]);
+    assert.strictEqual(variants[0].url, 'https://origin.example.com/live/ch1/hd/index.m3u8?token=abc&expires=123');
+    assert.strictEqual(variants[0].frameRate, 50);
+    assert.strictEqual(variants[0].codecs, 'avc1.640028,mp4a.40.2');
+});
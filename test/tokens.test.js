@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const TOKENS_PATH = require.resolve('../proxy/tokens');
+
+// Secrets and limits are read when the module loads, so each setup gets a fresh copy
+function loadTokens(env) {
+    const saved = {};
+    Object.entries(env).forEach(([key, value]) => {
+        saved[key] = process.env[key];
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+    });
+    delete require.cache[TOKENS_PATH];
+    try {
+        return require(TOKENS_PATH);
+    } finally {
+        Object.entries(saved).forEach(([key, value]) => {
+            if (value === undefined) delete process.env[key];
+            else process.env[key] = value;
+        });
+    }
+}
+
+const defaults = { PROXY_TOKEN_SECRET: 'current', PROXY_TOKEN_SECRET_PREVIOUS: undefined };
+
+function withClock(t, seconds) {
+    t.mock.timers.enable({ apis: ['Date'], now: seconds * 1000 });
+}
+
+test('a token verifies with its channel, host and expiry', () => {
+    const { createProxyToken, verifyProxyToken } = loadTokens(defaults);
+    const before = Date.now();
+    const token = verifyProxyToken(createProxyToken('mjh-tvnz-1', 60, 'cdn.example.com'));
+    assert.strictEqual(token.error, undefined);
+    assert.strictEqual(token.channelId, 'mjh-tvnz-1');
+    assert.strictEqual(token.host, 'cdn.example.com');
+    assert.ok(token.expires > before + 58 * 1000 && token.expires <= before + 61 * 1000);
+
+    const unscoped = verifyProxyToken(createProxyToken('mjh-tvnz-1'));
+    assert.strictEqual(unscoped.host, null);
+});
+
+test('missing, malformed and tampered tokens are refused', () => {
+    const { createProxyToken, verifyProxyToken } = loadTokens(defaults);
+    assert.deepStrictEqual(verifyProxyToken(undefined), { error: 'missing-token' });
+    assert.deepStrictEqual(verifyProxyToken('nodot'), { error: 'missing-token' });
+    assert.deepStrictEqual(verifyProxyToken('a.b'), { error: 'invalid-token' });
+
+    // Swapping the channel in the payload breaks the signature
+    const [, signature] = createProxyToken('mjh-tvnz-1').split('.');
+    const forged = Buffer.from(JSON.stringify({ c: 'mjh-tvnz-2', e: 9999999999 })).toString('base64url');
+    assert.deepStrictEqual(verifyProxyToken(`${forged}.${signature}`), { error: 'invalid-token' });
+});
+
+test('tokens expire after their TTL', (t) => {
+    const { createProxyToken, verifyProxyToken } = loadTokens(defaults);
+    withClock(t, 1000000);
+    const token = createProxyToken('mjh-tvnz-1', 60);
+    t.mock.timers.tick(60 * 1000);
+    assert.strictEqual(verifyProxyToken(token).channelId, 'mjh-tvnz-1');
+    t.mock.timers.tick(1000);
+    assert.deepStrictEqual(verifyProxyToken(token), { error: 'expired-token' });
+});
+
+test('tokens signed with a previous secret verify during rotation only', () => {
+    const old = loadTokens({ PROXY_TOKEN_SECRET: 'old', PROXY_TOKEN_SECRET_PREVIOUS: undefined });
+    const token = old.createProxyToken('mjh-tvnz-1');
+
+    const rotating = loadTokens({ PROXY_TOKEN_SECRET: 'new', PROXY_TOKEN_SECRET_PREVIOUS: 'older, old' });
+    assert.strictEqual(rotating.verifyProxyToken(token).channelId, 'mjh-tvnz-1');
+    // New tokens are signed with the current secret
+    const fresh = rotating.createProxyToken('mjh-tvnz-1');
+    assert.deepStrictEqual(old.verifyProxyToken(fresh), { error: 'invalid-token' });
+
+    const rotated = loadTokens({ PROXY_TOKEN_SECRET: 'new', PROXY_TOKEN_SECRET_PREVIOUS: undefined });
+    assert.deepStrictEqual(rotated.verifyProxyToken(token), { error: 'invalid-token' });
+    assert.strictEqual(rotated.verifyProxyToken(fresh).channelId, 'mjh-tvnz-1');
+});
+
+test('renewed tokens keep the channel, host and session of the original', (t) => {
+    const { createProxyToken, renewProxyToken, verifyProxyToken } = loadTokens({ ...defaults, PROXY_TOKEN_TTL: '600' });
+    withClock(t, 1000000);
+    const original = verifyProxyToken(createProxyToken('mjh-tvnz-1', undefined, 'cdn.example.com'));
+    t.mock.timers.tick(300 * 1000);
+
+    const renewed = verifyProxyToken(renewProxyToken(original));
+    assert.strictEqual(renewed.channelId, 'mjh-tvnz-1');
+    assert.strictEqual(renewed.host, 'cdn.example.com');
+    assert.strictEqual(renewed.issuedAt, original.issuedAt);
+    assert.strictEqual(renewed.expires, (1000000 + 300 + 600) * 1000);
+});
+
+test('renewals stop at the session cap but never shorten a token', (t) => {
+    const { createProxyToken, renewProxyToken, verifyProxyToken } = loadTokens({
+        ...defaults,
+        PROXY_TOKEN_TTL: '600',
+        PROXY_TOKEN_MAX_SESSION: '1000'
+    });
+    withClock(t, 1000000);
+    const original = verifyProxyToken(createProxyToken('mjh-tvnz-1'));
+    t.mock.timers.tick(500 * 1000);
+    const renewed = verifyProxyToken(renewProxyToken(original));
+    assert.strictEqual(renewed.expires, (1000000 + 1000) * 1000);
+
+    // Renewing again doesn't extend past the cap, so the session ends
+    t.mock.timers.tick(400 * 1000);
+    const capped = renewProxyToken(renewed);
+    assert.strictEqual(verifyProxyToken(capped).expires, renewed.expires);
+    t.mock.timers.tick(101 * 1000);
+    assert.deepStrictEqual(verifyProxyToken(capped), { error: 'expired-token' });
+
+    // Long-lived tokens (exported playlists) keep their own expiry when renewed
+    const exported = verifyProxyToken(createProxyToken('mjh-tvnz-1', 7 * 24 * 60 * 60));
+    t.mock.timers.tick(2000 * 1000);
+    assert.strictEqual(verifyProxyToken(renewProxyToken(exported)).expires, exported.expires);
+});